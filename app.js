@@ -8,125 +8,1181 @@
  * the ZXing library loaded via CDN. A minimal price lookup table is
  * included to demonstrate how the app could recommend where to buy items at
  * the lowest price; hook this up to a real API when available.
+ *
+ * State is persisted through PantryStore (db.js), which must finish
+ * loading before the app starts.
  */
 
-(() => {
+PantryStore.open().then(() => {
   // DOM container
   const app = document.getElementById("app");
+  // Parts of the state changed since the last render (see invalidate)
+  const dirtyParts = new Set();
 
-  // Load user from localStorage if previously signed in
+  // Signed-in user { sub, email, name, picture } from a verified Google
+  // session (see auth.js), or null. Each user has their own pantry data.
   let user = null;
-  try {
-    const storedUser = localStorage.getItem("googleUser");
-    if (storedUser) user = JSON.parse(storedUser);
-  } catch (e) {
-    console.warn("Unable to parse stored user", e);
+  // Message shown with the sign-in button, e.g. when a session ran out
+  let authNotice = "";
+  const session = PantryAuth.getSession();
+  if (session) {
+    user = session.user;
+  } else if (PantryAuth.hasExpiredSession()) {
+    PantryAuth.endSession();
+    authNotice = "Your session expired. Sign in again to see your pantry.";
   }
 
-  // Inventory state: array of objects { id, name, quantity, expirationDate, barcode, regular }
+  // Inventory state: array of products
+  // { id, name, quantity, unit, expirationDate, barcode, regular, category, lots }
+  // where lots is an array of { id, quantity, purchaseDate, expirationDate,
+  // location } and quantity/expirationDate are the lot total and earliest
+  // lot expiration, kept up to date by syncItemTotals.
   let inventory = [];
-  // Load inventory from localStorage
-  try {
-    const stored = localStorage.getItem("inventory");
-    if (stored) inventory = JSON.parse(stored);
-  } catch (e) {
-    console.warn("Unable to parse stored inventory", e);
-  }
-
-  // Static recipe list (for demonstration). In a real application you might
-  // fetch recipes from an API and cache them locally. Each recipe has a
-  // name, ingredients (array of strings), and instructions (string).
-  const recipes = [
+
+  // Demo recipes used to seed the recipe book the first time the app runs.
+  // Each recipe has a name, servings, prepTime (minutes), tags, ingredients
+  // (array of { name, amount, unit }) and steps (array of strings). Amounts
+  // are expressed in any unit from the UNITS table below. Ids are assigned
+  // when the recipe book is loaded.
+  const defaultRecipes = [
     {
       name: "Spaghetti Marinara",
-      ingredients: ["spaghetti", "tomato sauce", "garlic", "olive oil"],
-      instructions:
-        "1. Cook spaghetti according to package directions.\n2. Heat tomato sauce with minced garlic in a pan with olive oil.\n3. Combine spaghetti and sauce, toss well and serve.",
+      servings: 2,
+      prepTime: 20,
+      tags: ["pasta", "italian", "vegetarian"],
+      ingredients: [
+        { name: "spaghetti", amount: 200, unit: "g" },
+        { name: "tomato sauce", amount: 1, unit: "cup" },
+        { name: "garlic", amount: 2, unit: "each" },
+        { name: "olive oil", amount: 1, unit: "tbsp" },
+      ],
+      steps: [
+        "Cook spaghetti according to package directions.",
+        "Heat tomato sauce with minced garlic in a pan with olive oil.",
+        "Combine spaghetti and sauce, toss well and serve.",
+      ],
     },
     {
       name: "Peanut Butter Sandwich",
-      ingredients: ["bread", "peanut butter", "jelly"],
-      instructions:
-        "Spread peanut butter and jelly on slices of bread and assemble. Cut diagonally and serve.",
+      servings: 1,
+      prepTime: 5,
+      tags: ["lunch", "quick"],
+      ingredients: [
+        { name: "bread", amount: 2, unit: "each" },
+        { name: "peanut butter", amount: 2, unit: "tbsp" },
+        { name: "jelly", amount: 1, unit: "tbsp" },
+      ],
+      steps: [
+        "Spread peanut butter and jelly on slices of bread and assemble.",
+        "Cut diagonally and serve.",
+      ],
     },
     {
       name: "Omelette",
-      ingredients: ["eggs", "milk", "cheese", "salt"],
-      instructions:
-        "1. Beat eggs with a splash of milk and a pinch of salt.\n2. Pour mixture into a heated, greased pan.\n3. When partly set, sprinkle cheese and fold in half. Cook until done.",
+      servings: 1,
+      prepTime: 10,
+      tags: ["breakfast", "vegetarian", "quick"],
+      ingredients: [
+        { name: "eggs", amount: 3, unit: "each" },
+        { name: "milk", amount: 2, unit: "tbsp" },
+        { name: "cheese", amount: 30, unit: "g" },
+        { name: "salt", amount: 0.25, unit: "tsp" },
+      ],
+      steps: [
+        "Beat eggs with a splash of milk and a pinch of salt.",
+        "Pour mixture into a heated, greased pan.",
+        "When partly set, sprinkle cheese and fold in half. Cook until done.",
+      ],
     },
     {
       name: "Guacamole",
-      ingredients: ["avocado", "lime", "salt", "tomato", "onion"],
-      instructions:
-        "1. Mash avocado flesh.\n2. Stir in chopped tomato, onion, salt, and lime juice.\n3. Serve with chips.",
+      servings: 4,
+      prepTime: 10,
+      tags: ["snack", "mexican", "vegan"],
+      ingredients: [
+        { name: "avocado", amount: 2, unit: "each" },
+        { name: "lime", amount: 1, unit: "each" },
+        { name: "salt", amount: 0.5, unit: "tsp" },
+        { name: "tomato", amount: 1, unit: "each" },
+        { name: "onion", amount: 0.5, unit: "each" },
+      ],
+      steps: [
+        "Mash avocado flesh.",
+        "Stir in chopped tomato, onion, salt, and lime juice.",
+        "Serve with chips.",
+      ],
     },
     {
       name: "Caprese Salad",
-      ingredients: ["tomato", "mozzarella", "basil", "olive oil", "salt"],
-      instructions:
-        "1. Slice tomatoes and mozzarella.\n2. Layer alternately on a plate with basil leaves.\n3. Drizzle olive oil and sprinkle salt before serving.",
+      servings: 2,
+      prepTime: 10,
+      tags: ["salad", "italian", "vegetarian"],
+      ingredients: [
+        { name: "tomato", amount: 2, unit: "each" },
+        { name: "mozzarella", amount: 125, unit: "g" },
+        { name: "basil", amount: 5, unit: "g" },
+        { name: "olive oil", amount: 1, unit: "tbsp" },
+        { name: "salt", amount: 0.25, unit: "tsp" },
+      ],
+      steps: [
+        "Slice tomatoes and mozzarella.",
+        "Layer alternately on a plate with basil leaves.",
+        "Drizzle olive oil and sprinkle salt before serving.",
+      ],
     },
     {
       name: "Fruit Smoothie",
-      ingredients: ["banana", "milk", "frozen berries", "honey"],
-      instructions:
-        "Blend banana, milk, frozen berries, and honey until smooth. Serve chilled.",
+      servings: 1,
+      prepTime: 5,
+      tags: ["breakfast", "drink", "quick"],
+      ingredients: [
+        { name: "banana", amount: 1, unit: "each" },
+        { name: "milk", amount: 1, unit: "cup" },
+        { name: "frozen berries", amount: 1, unit: "cup" },
+        { name: "honey", amount: 1, unit: "tbsp" },
+      ],
+      steps: [
+        "Blend banana, milk, frozen berries, and honey until smooth.",
+        "Serve chilled.",
+      ],
     },
     {
       name: "Chicken Stir‑Fry",
-      ingredients: ["chicken breast", "soy sauce", "vegetables", "garlic", "rice"],
-      instructions:
-        "1. Cook rice according to package directions.\n2. Stir‑fry sliced chicken in oil until browned.\n3. Add vegetables and minced garlic and cook until tender.\n4. Stir in soy sauce and serve over rice.",
+      servings: 3,
+      prepTime: 30,
+      tags: ["dinner", "asian"],
+      ingredients: [
+        { name: "chicken breast", amount: 300, unit: "g" },
+        { name: "soy sauce", amount: 2, unit: "tbsp" },
+        { name: "vegetables", amount: 2, unit: "each" },
+        { name: "garlic", amount: 2, unit: "each" },
+        { name: "rice", amount: 1, unit: "cup" },
+      ],
+      steps: [
+        "Cook rice according to package directions.",
+        "Stir‑fry sliced chicken in oil until browned.",
+        "Add vegetables and minced garlic and cook until tender.",
+        "Stir in soy sauce and serve over rice.",
+      ],
     },
   ];
 
-  // Static price data. Each key corresponds to an item name and maps to an
-  // array of objects with store and price. This is only a sample; in a real
-  // application you would query a grocery price API or database.
-  const priceData = {
+  // Sample price data used to seed the price book. Each key corresponds to
+  // an item name and maps to an array of price records
+  // { store, price, size, unit, observedOn } where size and unit describe
+  // the package the price is for, so unit prices can be compared. Users add
+  // their own records or import them from CSV.
+  const defaultPriceData = {
     bread: [
-      { store: "Walmart", price: 1.5 },
-      { store: "Target", price: 1.4 },
-      { store: "Publix", price: 1.6 },
+      { store: "Walmart", price: 1.5, size: 1, unit: "each", observedOn: "2025-08-01" },
+      { store: "Target", price: 1.4, size: 1, unit: "each", observedOn: "2025-08-01" },
+      { store: "Publix", price: 1.6, size: 1, unit: "each", observedOn: "2025-08-01" },
     ],
     milk: [
-      { store: "Walmart", price: 2.0 },
-      { store: "Target", price: 2.2 },
-      { store: "Costco", price: 1.8 },
+      { store: "Walmart", price: 2.0, size: 1, unit: "gal", observedOn: "2025-08-01" },
+      { store: "Target", price: 2.2, size: 1, unit: "gal", observedOn: "2025-08-01" },
+      { store: "Costco", price: 1.8, size: 1, unit: "gal", observedOn: "2025-08-01" },
     ],
     eggs: [
-      { store: "Publix", price: 2.5 },
-      { store: "Walmart", price: 2.3 },
-      { store: "Target", price: 2.6 },
+      { store: "Publix", price: 2.5, size: 12, unit: "each", observedOn: "2025-08-01" },
+      { store: "Walmart", price: 2.3, size: 12, unit: "each", observedOn: "2025-08-01" },
+      { store: "Target", price: 2.6, size: 12, unit: "each", observedOn: "2025-08-01" },
     ],
     "tomato sauce": [
-      { store: "Publix", price: 1.8 },
-      { store: "Walmart", price: 1.6 },
-      { store: "Target", price: 1.7 },
+      { store: "Publix", price: 1.8, size: 24, unit: "oz", observedOn: "2025-08-01" },
+      { store: "Walmart", price: 1.6, size: 24, unit: "oz", observedOn: "2025-08-01" },
+      { store: "Target", price: 1.7, size: 24, unit: "oz", observedOn: "2025-08-01" },
     ],
     spaghetti: [
-      { store: "Publix", price: 1.2 },
-      { store: "Walmart", price: 1.1 },
-      { store: "Target", price: 1.3 },
+      { store: "Publix", price: 1.2, size: 16, unit: "oz", observedOn: "2025-08-01" },
+      { store: "Walmart", price: 1.1, size: 16, unit: "oz", observedOn: "2025-08-01" },
+      { store: "Target", price: 1.3, size: 16, unit: "oz", observedOn: "2025-08-01" },
     ],
     cheese: [
-      { store: "Publix", price: 2.9 },
-      { store: "Walmart", price: 2.7 },
-      { store: "Costco", price: 2.5 },
+      { store: "Publix", price: 2.9, size: 8, unit: "oz", observedOn: "2025-08-01" },
+      { store: "Walmart", price: 2.7, size: 8, unit: "oz", observedOn: "2025-08-01" },
+      { store: "Costco", price: 2.5, size: 8, unit: "oz", observedOn: "2025-08-01" },
     ],
     bananas: [
-      { store: "Publix", price: 0.5 },
-      { store: "Walmart", price: 0.45 },
-      { store: "Costco", price: 0.4 },
+      { store: "Publix", price: 0.5, size: 1, unit: "each", observedOn: "2025-08-01" },
+      { store: "Walmart", price: 0.45, size: 1, unit: "each", observedOn: "2025-08-01" },
+      { store: "Costco", price: 0.4, size: 1, unit: "each", observedOn: "2025-08-01" },
     ],
   };
 
+  // Unit conversion table. Every unit belongs to a kind (mass, volume or
+  // count) and records how many base units (grams, millilitres or pieces)
+  // one of it holds. Units of the same kind convert directly; mass and
+  // volume convert through the ingredient's density below.
+  const UNITS = {
+    g: { kind: "mass", toBase: 1, label: "g" },
+    kg: { kind: "mass", toBase: 1000, label: "kg" },
+    oz: { kind: "mass", toBase: 28.3495, label: "oz" },
+    lb: { kind: "mass", toBase: 453.592, label: "lb" },
+    ml: { kind: "volume", toBase: 1, label: "ml" },
+    l: { kind: "volume", toBase: 1000, label: "L" },
+    gal: { kind: "volume", toBase: 3785.41, label: "gal" },
+    tsp: { kind: "volume", toBase: 4.92892, label: "tsp" },
+    tbsp: { kind: "volume", toBase: 14.7868, label: "tbsp" },
+    cup: { kind: "volume", toBase: 236.588, label: "cup" },
+    pinch: { kind: "volume", toBase: 0.31, label: "pinch" },
+    each: { kind: "count", toBase: 1, label: "each" },
+  };
+
+  // Spellings of units found in recipe text, mapped to UNITS keys. Used
+  // when parsing ingredient lines such as "2 tablespoons olive oil".
+  const UNIT_ALIASES = {
+    g: "g",
+    gram: "g",
+    grams: "g",
+    kg: "kg",
+    kilogram: "kg",
+    kilograms: "kg",
+    oz: "oz",
+    ounce: "oz",
+    ounces: "oz",
+    lb: "lb",
+    lbs: "lb",
+    pound: "lb",
+    pounds: "lb",
+    ml: "ml",
+    milliliter: "ml",
+    milliliters: "ml",
+    millilitre: "ml",
+    millilitres: "ml",
+    l: "l",
+    liter: "l",
+    liters: "l",
+    litre: "l",
+    litres: "l",
+    gal: "gal",
+    gallon: "gal",
+    gallons: "gal",
+    tsp: "tsp",
+    teaspoon: "tsp",
+    teaspoons: "tsp",
+    tbsp: "tbsp",
+    tbs: "tbsp",
+    tablespoon: "tbsp",
+    tablespoons: "tbsp",
+    cup: "cup",
+    cups: "cup",
+    pinch: "pinch",
+    pinches: "pinch",
+    each: "each",
+    piece: "each",
+    pieces: "each",
+    clove: "each",
+    cloves: "each",
+    slice: "each",
+    slices: "each",
+  };
+
+  // Approximate densities in grams per millilitre, used to convert between
+  // volume and mass for a given ingredient. Ingredients not listed here can
+  // only be converted within the same kind of unit.
+  const ingredientDensities = {
+    milk: 1.03,
+    water: 1.0,
+    "olive oil": 0.91,
+    oil: 0.92,
+    honey: 1.42,
+    "tomato sauce": 1.05,
+    "soy sauce": 1.2,
+    "peanut butter": 1.09,
+    jelly: 1.3,
+    rice: 0.85,
+    flour: 0.53,
+    sugar: 0.85,
+    salt: 1.2,
+    cheese: 0.45,
+    "frozen berries": 0.6,
+  };
+
+  // Approximate nutrition per 100 g, keyed by ingredient name like the
+  // density table: calories (kcal), protein, carbs and fat (g). gramsEach
+  // is what one piece weighs, for ingredients counted in pieces; contains
+  // lists allergens and animal products, matched against DIETS; and
+  // substitutes names other entries that can stand in for it.
+  const ingredientNutrition = {
+    spaghetti: { calories: 371, protein: 13, carbs: 75, fat: 1.5, contains: ["gluten"], substitutes: ["gluten-free pasta", "rice noodles"] },
+    "gluten-free pasta": { calories: 357, protein: 7, carbs: 79, fat: 1.5, contains: [] },
+    "rice noodles": { calories: 364, protein: 6, carbs: 80, fat: 0.6, contains: [] },
+    "tomato sauce": { calories: 29, protein: 1.3, carbs: 5.3, fat: 0.2, contains: [] },
+    garlic: { calories: 149, protein: 6.4, carbs: 33, fat: 0.5, gramsEach: 3, contains: [] },
+    "olive oil": { calories: 884, protein: 0, carbs: 0, fat: 100, contains: [] },
+    bread: { calories: 265, protein: 9, carbs: 49, fat: 3.2, gramsEach: 30, contains: ["gluten"], substitutes: ["gluten-free bread"] },
+    "gluten-free bread": { calories: 246, protein: 4, carbs: 45, fat: 6, gramsEach: 30, contains: [] },
+    "peanut butter": { calories: 588, protein: 25, carbs: 20, fat: 50, contains: ["peanuts"], substitutes: ["sunflower seed butter", "almond butter"] },
+    "sunflower seed butter": { calories: 617, protein: 17, carbs: 23, fat: 55, contains: [] },
+    "almond butter": { calories: 614, protein: 21, carbs: 19, fat: 56, contains: ["tree nuts"] },
+    jelly: { calories: 266, protein: 0.2, carbs: 70, fat: 0, contains: [] },
+    eggs: { calories: 143, protein: 12.6, carbs: 0.7, fat: 9.5, gramsEach: 50, contains: ["eggs"] },
+    milk: { calories: 61, protein: 3.2, carbs: 4.8, fat: 3.3, contains: ["milk"], substitutes: ["oat milk", "almond milk"] },
+    "oat milk": { calories: 46, protein: 1, carbs: 6.7, fat: 1.5, contains: [] },
+    "almond milk": { calories: 15, protein: 0.6, carbs: 0.3, fat: 1.2, contains: ["tree nuts"] },
+    cheese: { calories: 403, protein: 25, carbs: 1.3, fat: 33, contains: ["milk"] },
+    salt: { calories: 0, protein: 0, carbs: 0, fat: 0, contains: [] },
+    avocado: { calories: 160, protein: 2, carbs: 8.5, fat: 14.7, gramsEach: 200, contains: [] },
+    lime: { calories: 30, protein: 0.7, carbs: 10.5, fat: 0.2, gramsEach: 67, contains: [] },
+    tomato: { calories: 18, protein: 0.9, carbs: 3.9, fat: 0.2, gramsEach: 123, contains: [] },
+    onion: { calories: 40, protein: 1.1, carbs: 9.3, fat: 0.1, gramsEach: 110, contains: [] },
+    mozzarella: { calories: 280, protein: 28, carbs: 3, fat: 17, contains: ["milk"] },
+    basil: { calories: 23, protein: 3.2, carbs: 2.7, fat: 0.6, contains: [] },
+    banana: { calories: 89, protein: 1.1, carbs: 22.8, fat: 0.3, gramsEach: 118, contains: [] },
+    "frozen berries": { calories: 50, protein: 0.7, carbs: 12, fat: 0.3, contains: [] },
+    honey: { calories: 304, protein: 0.3, carbs: 82, fat: 0, contains: [] },
+    "chicken breast": { calories: 165, protein: 31, carbs: 0, fat: 3.6, contains: ["meat"], substitutes: ["tofu"] },
+    tofu: { calories: 76, protein: 8, carbs: 1.9, fat: 4.8, contains: ["soy"] },
+    "soy sauce": { calories: 53, protein: 8, carbs: 4.9, fat: 0.6, contains: ["soy", "gluten"], substitutes: ["tamari"] },
+    tamari: { calories: 60, protein: 10.5, carbs: 5.6, fat: 0.1, contains: ["soy"] },
+    rice: { calories: 365, protein: 7.1, carbs: 80, fat: 0.7, contains: [] },
+    vegetables: { calories: 35, protein: 2, carbs: 7, fat: 0.3, gramsEach: 100, contains: [] },
+  };
+
+  // Diets a household member can follow, with what each avoids (matched
+  // against the contains lists in ingredientNutrition)
+  const DIETS = {
+    vegetarian: ["meat", "fish", "shellfish"],
+    "gluten-free": ["gluten"],
+    "nut allergy": ["peanuts", "tree nuts"],
+  };
+
+  // Item categories. Recipes can name a category (e.g. "vegetables") as an
+  // ingredient, which any inventory item in that category satisfies.
+  const CATEGORIES = [
+    "vegetable",
+    "fruit",
+    "dairy",
+    "meat",
+    "seafood",
+    "grain",
+    "bakery",
+    "condiment",
+    "spice",
+    "frozen",
+    "beverage",
+    "snack",
+    "other",
+  ];
+
+  // Default category for common ingredients, keyed by canonical name. Items
+  // with an explicit category override this table.
+  const defaultCategories = {
+    tomato: "vegetable",
+    onion: "vegetable",
+    garlic: "vegetable",
+    carrot: "vegetable",
+    "bell pepper": "vegetable",
+    broccoli: "vegetable",
+    spinach: "vegetable",
+    lettuce: "vegetable",
+    zucchini: "vegetable",
+    potato: "vegetable",
+    mushroom: "vegetable",
+    basil: "vegetable",
+    avocado: "fruit",
+    banana: "fruit",
+    apple: "fruit",
+    lime: "fruit",
+    lemon: "fruit",
+    berry: "fruit",
+    milk: "dairy",
+    cheese: "dairy",
+    mozzarella: "dairy",
+    butter: "dairy",
+    yogurt: "dairy",
+    egg: "dairy",
+    "chicken breast": "meat",
+    chicken: "meat",
+    beef: "meat",
+    pork: "meat",
+    bread: "bakery",
+    spaghetti: "grain",
+    pasta: "grain",
+    rice: "grain",
+    flour: "grain",
+    "tomato sauce": "condiment",
+    "soy sauce": "condiment",
+    "peanut butter": "condiment",
+    jelly: "condiment",
+    honey: "condiment",
+    "olive oil": "condiment",
+    salt: "spice",
+    pepper: "spice",
+    "frozen berry": "frozen",
+  };
+
+  // Typical shelf life in days for each category, used for catalog
+  // products that don't record their own.
+  const categoryShelfLife = {
+    vegetable: 7,
+    fruit: 7,
+    dairy: 10,
+    meat: 3,
+    seafood: 2,
+    grain: 365,
+    bakery: 5,
+    condiment: 180,
+    spice: 730,
+    frozen: 180,
+    beverage: 180,
+    snack: 120,
+    other: 30,
+  };
+
+  // Open Food Facts category tag fragments mapped to app categories. The
+  // first fragment found in a product's categories wins.
+  const offCategoryKeywords = [
+    ["frozen", "frozen"],
+    ["seafood", "seafood"],
+    ["fish", "seafood"],
+    ["meat", "meat"],
+    ["poultr", "meat"],
+    ["dair", "dairy"],
+    ["chees", "dairy"],
+    ["milk", "dairy"],
+    ["egg", "dairy"],
+    ["vegetable", "vegetable"],
+    ["fruit", "fruit"],
+    ["bread", "bakery"],
+    ["pastr", "bakery"],
+    ["cereal", "grain"],
+    ["pasta", "grain"],
+    ["rice", "grain"],
+    ["sauce", "condiment"],
+    ["condiment", "condiment"],
+    ["spread", "condiment"],
+    ["spice", "spice"],
+    ["beverage", "beverage"],
+    ["drink", "beverage"],
+    ["snack", "snack"],
+  ];
+
+  // Words that describe a package, size, brand or grade rather than the
+  // food itself. They are dropped before names are compared, so
+  // "Barilla Spaghetti 16 oz" and "spaghetti" are the same ingredient.
+  const nameNoiseWords = new Set([
+    "a",
+    "of",
+    "the",
+    "and",
+    "dozen",
+    "pack",
+    "pk",
+    "count",
+    "ct",
+    "oz",
+    "lb",
+    "lbs",
+    "g",
+    "kg",
+    "ml",
+    "l",
+    "gal",
+    "gallon",
+    "jar",
+    "can",
+    "bag",
+    "box",
+    "bottle",
+    "carton",
+    "bunch",
+    "organic",
+    "fresh",
+    "natural",
+    "large",
+    "medium",
+    "small",
+    "jumbo",
+    "whole",
+    "brand",
+    "great",
+    "value",
+    "kirkland",
+    "signature",
+    "publix",
+    "kraft",
+    "heinz",
+    "barilla",
+    "kroger",
+  ]);
+
+  // normalizeName results by name; names are compared many times over when
+  // matching recipes against a large inventory
+  const normalizedNames = new Map();
+  const NORMALIZED_NAMES_LIMIT = 20000;
+
+  // Default synonym table mapping an alias to the canonical ingredient name.
+  // The user can add and remove entries from the Ingredient Aliases panel.
+  const defaultAliases = {
+    "roma tomato": "tomato",
+    "cherry tomato": "tomato",
+    "green onion": "scallion",
+    "spring onion": "scallion",
+    coriander: "cilantro",
+    "garbanzo bean": "chickpea",
+    capsicum: "bell pepper",
+    courgette: "zucchini",
+    jam: "jelly",
+    "marinara sauce": "tomato sauce",
+    "extra virgin olive oil": "olive oil",
+    "chicken breast fillet": "chicken breast",
+  };
+
+  // User-editable aliases, persisted separately from the inventory
+  let ingredientAliases = { ...defaultAliases };
+
+  // Recipe book: user-managed recipes, seeded with the demo recipes on
+  // first run. See normalizeRecipe for the shape.
+  let recipes = [];
+
+  // Pantry staples the user always has on hand (e.g. salt, oil). They are
+  // never counted as missing from a recipe.
+  let pantryStaples = [];
+
+  // Shopping list: array of objects
+  // { id, name, quantity, unit, sources, checked, regular, category }
+  // where sources records why the entry is on the list ("restock",
+  // "expiring", "manual" or a recipe name).
+  let shoppingList = [];
+
+  // Price book: same shape as defaultPriceData, persisted so entered and
+  // imported prices survive reloads. Older observations are kept; the
+  // latest record per store is the current price.
+  let priceData = defaultPriceData;
+
+  // How many stores the basket optimizer may split the shopping list
+  // across: 1, 2 or Infinity (not persisted)
+  let basketMaxStores = 1;
+
+  // Product catalog keyed by UPC/EAN barcode. Each entry is
+  // { barcode, name, brand, category, size, unit, shelfLifeDays, source }
+  // where source is "import" for dump entries or "user" once the user has
+  // saved an item with that barcode. Shared by everyone using this device.
+  let productCatalog = PantryStore.get("productCatalog") || {};
+
+  // Batch scanning session for unloading groceries: null when closed,
+  // otherwise { counts, names, lastRead, order, devices, deviceId, reader,
+  // status } where counts maps each scanned barcode to how many were
+  // scanned, names holds names typed for unknown codes, lastRead the time
+  // each code was last accepted (for debouncing repeat reads) and devices
+  // the cameras to choose from as { deviceId, label }.
+  let batchScan = null;
+
+  // Single barcode scan filling in the add form: null when closed,
+  // otherwise { status }. The ZXing reader is kept across scans and
+  // renders; scanMessage says what the last scan found.
+  let singleScan = null;
+  let barcodeReader = null;
+  let scanMessage = "";
+
+  // Repeat reads of the same code within this many milliseconds are the
+  // camera seeing one package again, not a second package.
+  const BATCH_DEBOUNCE_MS = 2000;
+
+  // Inventory history: persisted event log of every add, use, cook and
+  // delete, as { id, at, type, itemId, name, quantity, unit, recipe }
+  // where quantity is in unit and recipe is set for cook events. Manual
+  // corrections to a quantity are "adjust" events with a signed quantity;
+  // they don't count as use.
+  let history = [];
+
+  // Oldest events are dropped beyond this many so storage stays small
+  const HISTORY_LIMIT = 5000;
+
+  // Positions of history events by item id and by canonical name, for
+  // getItemHistory. Rebuilt when the history is replaced or changes
+  // length; cleared when the aliases (and so canonical names) change.
+  let historyIndex = null;
+
+  // Consumption rates are estimated from this many days of history
+  const CONSUMPTION_WINDOW_DAYS = 60;
+
+  // Restock alerts are raised when an item is predicted to run out within
+  // this many days, leaving time to shop. User configurable.
+  let restockLeadDays = 3;
+
+  // Expiration notification settings. Lead times are how many days before
+  // a lot expires to start reminding, per category with a fallback; quiet
+  // hours are whole hours of the day (equal start and end disables them);
+  // with digest on, one summary is sent a day at digestHour instead of a
+  // notification per lot. The service worker (sw.js) does the scheduling.
+  const defaultNotificationSettings = {
+    enabled: false,
+    defaultLeadDays: 5,
+    leadDays: { dairy: 3, meat: 2, seafood: 1, bakery: 2 },
+    quietStart: 22,
+    quietEnd: 7,
+    digest: false,
+    digestHour: 8,
+  };
+  let notificationSettings = { ...defaultNotificationSettings };
+
+  // Service worker registration once ready, used to send it the reminder
+  // schedule (null when unsupported or not yet registered)
+  let swRegistration = null;
+
+  // Periodic Background Sync tag the service worker listens for
+  const REMINDER_SYNC_TAG = "pantry-reminders";
+
+  // While the app is open, ask the service worker to check reminders this
+  // often, for browsers without Periodic Background Sync
+  const REMINDER_CHECK_MS = 1000 * 60 * 30;
+
+  // Household sync settings: this device's id, the shared household id
+  // (null when not syncing) and the server, either "test" for the
+  // in-memory test server (this tab only) or "rest" for serverUrl.
+  const defaultSyncSettings = { deviceId: null, householdId: null, server: "test", serverUrl: "" };
+  let syncSettings = { ...defaultSyncSettings };
+
+  // Sync engine for the current household (null when not syncing) and the
+  // status line shown in the household panel (not persisted)
+  let syncEngine = null;
+  let syncStatus = "";
+  let syncTimer = null;
+  const testSyncServer = PantrySync.memoryServer();
+
+  // Sync this long after the last local change, and this often otherwise
+  const SYNC_DEBOUNCE_MS = 2000;
+  const SYNC_INTERVAL_MS = 1000 * 60;
+
+  // How often to check whether the sign-in session has run out
+  const SESSION_CHECK_MS = 1000 * 60;
+
+  // Item whose history is shown in the history dialog (not persisted)
+  let historyItemId = null;
+
+  // Storage locations a lot can be kept in
+  const LOCATIONS = ["pantry", "fridge", "freezer"];
+
+  // Why something was thrown out, recorded with each discard
+  const DISCARD_REASONS = ["expired", "spoiled", "leftover"];
+
+  // Months shown in the waste dashboard, ending with the current one
+  const WASTE_MONTHS = 6;
+
+  // Inventory rows whose lot breakdown is expanded (not persisted)
+  const expandedItems = new Set();
+
+  // Inventory list view (not persisted): free-text search, sort order
+  // ("added", "name", "quantity" or "expiration") and the category and
+  // storage location filter chips ("" for all)
+  let inventoryView = { search: "", sort: "added", category: "", location: "" };
+
+  // Number of inventory rows shown; "Show more" adds a page. Keeps the
+  // table quick to draw with thousands of items.
+  const INVENTORY_PAGE = 100;
+  let inventoryShown = INVENTORY_PAGE;
+
+  // Item being edited inline in the inventory table (not persisted)
+  let editingItemId = null;
+
+  // Item whose discard form is open in the inventory table (not persisted)
+  let discardingItemId = null;
+
+  // Backups are JSON documents marked with this format name and a version
+  // that is bumped when their shape changes
+  const BACKUP_FORMAT = "smart-pantry-backup";
+  const BACKUP_VERSION = 1;
+
+  // Columns of the inventory CSV, one row per lot
+  const INVENTORY_CSV_COLUMNS = [
+    "id",
+    "name",
+    "quantity",
+    "unit",
+    "category",
+    "location",
+    "purchase_date",
+    "expiration_date",
+    "barcode",
+    "regular",
+    "unit_cost",
+  ];
+
+  // Change journal: persisted log of every inventory command, undo and
+  // redo, as { id, at, label, changes } where changes lists
+  // { itemId, name, before, after } with the item's quantity before and
+  // after as text (null when the item didn't exist)
+  let journal = [];
+
+  // Oldest journal entries are dropped beyond this many
+  const JOURNAL_LIMIT = 500;
+
+  // Commands that can be undone and redone (not persisted; see runCommand)
+  let undoStack = [];
+  let redoStack = [];
+  const UNDO_LIMIT = 50;
+
+  // Command being run, collecting the history events it logs
+  let activeCommand = null;
+
+  // Toast offering to undo the last Delete or Cook (not persisted)
+  let toast = null;
+  let toastTimer = null;
+  const TOAST_MS = 8000;
+
+  // Number of journal entries shown; "Show more" adds to it
+  let journalShown = 20;
+
+  // Import waiting to be confirmed (not persisted): { fileName, parsed,
+  // mode } with parsed from parseImport and mode "merge" or "replace"
+  let importPreview = null;
+
+  // Recipe suggestion filters (not persisted)
+  // { cookableOnly, maxMissing (number or null), tag, suitsEveryone }
+  let suggestionFilters = { cookableOnly: false, maxMissing: null, tag: "", suitsEveryone: false };
+
+  // Number of recipe suggestions shown; "Show more" adds a page
+  const SUGGESTIONS_PAGE = 50;
+  let suggestionsShown = SUGGESTIONS_PAGE;
+
+  // Meal plan: array of planned meals
+  // { id, date: "YYYY-MM-DD", recipeId, servings, cooked }. Meals not yet
+  // cooked, from today on, reserve their ingredients (see getReservations)
+  let mealPlan = [];
+
+  // Household members' dietary profiles: array of { id, name, diets }
+  // with diets from DIETS. Recipe suggestions are flagged for anyone
+  // they don't suit (see getDietConflicts)
+  let dietProfiles = [];
+
+  // Monday of the week shown in the meal planner (not persisted)
+  let planWeek = weekStartOf(new Date());
+
+  // Recipe dialog state: null when closed, otherwise
+  // { mode: "view" | "edit" | "import", recipeId, draft, message }
+  let recipeDialog = null;
+
+  // Pantry data kept per user (see userKey); the product catalog and
+  // session are shared by the device
+  const USER_DATA_KEYS = [
+    "inventory",
+    "ingredientAliases",
+    "recipes",
+    "pantryStaples",
+    "shoppingList",
+    "priceData",
+    "inventoryHistory",
+    "inventoryJournal",
+    "mealPlan",
+    "dietProfiles",
+    "restockLeadDays",
+    "notificationSettings",
+    "syncSettings",
+    "syncState",
+  ];
+
+  /**
+   * Storage key for a piece of pantry data. Each signed-in user's data is
+   * kept under their Google account id; data saved while signed out uses
+   * the bare key.
+   */
+  function userKey(name) {
+    return user ? `users/${user.sub}/${name}` : name;
+  }
+
+  /**
+   * Load the current user's pantry data (or the signed-out pantry) into
+   * the app state, with defaults for anything never saved, and close
+   * anything open on the previous user's data.
+   */
+  function loadPantryData() {
+    const stored = (name) => PantryStore.get(userKey(name));
+    inventory = (stored("inventory") || []).map(syncItemTotals);
+    ingredientAliases = stored("ingredientAliases") || { ...defaultAliases };
+    recipes = (stored("recipes") || defaultRecipes).map(normalizeRecipe);
+    pantryStaples = stored("pantryStaples") || ["salt", "pepper", "water"];
+    shoppingList = stored("shoppingList") || [];
+    priceData = stored("priceData") || defaultPriceData;
+    history = stored("inventoryHistory") || [];
+    journal = stored("inventoryJournal") || [];
+    mealPlan = stored("mealPlan") || [];
+    dietProfiles = stored("dietProfiles") || [];
+    restockLeadDays = stored("restockLeadDays") === undefined ? 3 : stored("restockLeadDays");
+    notificationSettings = { ...defaultNotificationSettings, ...stored("notificationSettings") };
+    syncSettings = { ...defaultSyncSettings, deviceId: generateId(), ...stored("syncSettings") };
+    historyItemId = null;
+    recipeDialog = null;
+    editingItemId = null;
+    discardingItemId = null;
+    importPreview = null;
+    undoStack = [];
+    redoStack = [];
+    toast = null;
+    journalShown = 20;
+    inventoryShown = INVENTORY_PAGE;
+    suggestionsShown = SUGGESTIONS_PAGE;
+    planWeek = weekStartOf(new Date());
+    expandedItems.clear();
+    invalidate("*");
+  }
+
+  /**
+   * On a user's first sign-in on this device, give them the pantry that
+   * was kept while signed out (including everything saved before
+   * per-user data existed).
+   */
+  function claimSignedOutData() {
+    if (USER_DATA_KEYS.some((name) => PantryStore.get(userKey(name)) !== undefined)) return;
+    USER_DATA_KEYS.forEach((name) => {
+      const value = PantryStore.get(name);
+      if (value === undefined) return;
+      PantryStore.set(userKey(name), value);
+      PantryStore.remove(name);
+    });
+  }
+
+  loadPantryData();
+
   /**
-   * Save current inventory state to localStorage.
+   * Save current inventory state.
    */
   function saveInventory() {
-    localStorage.setItem("inventory", JSON.stringify(inventory));
+    PantryStore.set(userKey("inventory"), inventory);
+    invalidate("inventory");
+    syncReminderSchedule();
+    scheduleSync();
+  }
+
+  /**
+   * Save the ingredient alias table.
+   */
+  function saveAliases() {
+    PantryStore.set(userKey("ingredientAliases"), ingredientAliases);
+    historyIndex = null;
+    invalidate("aliases");
+  }
+
+  /**
+   * Save the recipe book.
+   */
+  function saveRecipes() {
+    PantryStore.set(userKey("recipes"), recipes);
+    invalidate("recipes");
+  }
+
+  /**
+   * Save the pantry staples list.
+   */
+  function saveStaples() {
+    PantryStore.set(userKey("pantryStaples"), pantryStaples);
+    invalidate("staples");
+  }
+
+  /**
+   * Save the shopping list.
+   */
+  function saveShoppingList() {
+    PantryStore.set(userKey("shoppingList"), shoppingList);
+    invalidate("shopping");
+    scheduleSync();
+  }
+
+  /**
+   * Save the price book.
+   */
+  function savePrices() {
+    PantryStore.set(userKey("priceData"), priceData);
+    invalidate("prices");
+  }
+
+  /**
+   * Save the product catalog.
+   */
+  function saveCatalog() {
+    PantryStore.set("productCatalog", productCatalog);
+    invalidate("catalog");
+  }
+
+  /**
+   * Save the inventory history.
+   */
+  function saveHistory() {
+    PantryStore.set(userKey("inventoryHistory"), history);
+    invalidate("history");
+  }
+
+  /**
+   * Save the change journal.
+   */
+  function saveJournal() {
+    PantryStore.set(userKey("inventoryJournal"), journal);
+    invalidate("journal");
+  }
+
+  /**
+   * Save the meal plan.
+   */
+  function saveMealPlan() {
+    PantryStore.set(userKey("mealPlan"), mealPlan);
+    invalidate("mealPlan");
+  }
+
+  /**
+   * Save the household's dietary profiles.
+   */
+  function saveDietProfiles() {
+    PantryStore.set(userKey("dietProfiles"), dietProfiles);
+    invalidate("diets");
+  }
+
+  /**
+   * Save the notification settings and pass them on to the service
+   * worker.
+   */
+  function saveNotificationSettings() {
+    PantryStore.set(userKey("notificationSettings"), notificationSettings);
+    invalidate("reminders");
+    syncReminderSchedule();
+  }
+
+  /**
+   * Record an inventory event and persist the history. Quantity is in the
+   * item's unit; details adds fields such as a discard's reason and cost.
+   * Each event notes whether expiry reminders were on, so the waste
+   * dashboard can tell whether they help.
+   */
+  function logEvent(type, item, quantity, recipe, details) {
+    const event = {
+      id: generateId(),
+      at: new Date().toISOString(),
+      type,
+      itemId: item.id,
+      name: item.name,
+      quantity: roundQuantity(quantity),
+      unit: item.unit,
+      recipe: recipe || null,
+      reminders: Boolean(notificationSettings.enabled),
+      ...details,
+    };
+    history.push(event);
+    // Undoing the command that logged it takes the event back out
+    if (activeCommand) activeCommand.events.push(event);
+    if (history.length > HISTORY_LIMIT) history = history.slice(-HISTORY_LIMIT);
+    saveHistory();
+  }
+
+  /**
+   * Copy of what an inventory command can change, for undo: every item,
+   * shopping list entry, planned meal and recipe as JSON with its
+   * position, keyed by id.
+   */
+  function captureCommandState() {
+    const capture = (list) =>
+      new Map(list.map((entry, index) => [entry.id, { json: JSON.stringify(entry), index }]));
+    return {
+      items: capture(inventory),
+      shopping: capture(shoppingList),
+      meals: capture(mealPlan),
+      recipes: capture(recipes),
+    };
+  }
+
+  /**
+   * Entries that differ between two captures, as
+   * [{ id, before, after, beforeIndex, afterIndex }] where before and
+   * after are JSON, or null when the entry didn't exist.
+   */
+  function diffCommandState(before, after) {
+    const changes = [];
+    new Set([...before.keys(), ...after.keys()]).forEach((id) => {
+      const was = before.get(id);
+      const now = after.get(id);
+      if (was && now && was.json === now.json) return;
+      changes.push({
+        id,
+        before: was ? was.json : null,
+        after: now ? now.json : null,
+        beforeIndex: was ? was.index : -1,
+        afterIndex: now ? now.index : -1,
+      });
+    });
+    return changes;
+  }
+
+  /**
+   * Put changed entries back the way they were on one side ("before" or
+   * "after") of a command, leaving everything else (e.g. changes synced
+   * from other devices since) alone. Returns the new list.
+   */
+  function restoreEntries(list, changes, side) {
+    const ids = new Set(changes.map((change) => change.id));
+    const restored = list.filter((entry) => !ids.has(entry.id));
+    changes
+      .filter((change) => change[side])
+      .sort((a, b) => a[`${side}Index`] - b[`${side}Index`])
+      .forEach((change) => {
+        restored.splice(Math.min(change[`${side}Index`], restored.length), 0, JSON.parse(change[side]));
+      });
+    return restored;
+  }
+
+  /**
+   * Add an entry to the change journal describing how each item's
+   * quantity changed, and persist it.
+   */
+  function recordJournal(label, itemChanges) {
+    const quantityOf = (json) => {
+      if (!json) return null;
+      const item = JSON.parse(json);
+      return formatQuantity(item.quantity, item.unit);
+    };
+    journal.push({
+      id: generateId(),
+      at: new Date().toISOString(),
+      label,
+      changes: itemChanges.map((change) => ({
+        itemId: change.id,
+        name: JSON.parse(change.after || change.before).name,
+        before: quantityOf(change.before),
+        after: quantityOf(change.after),
+      })),
+    });
+    if (journal.length > JOURNAL_LIMIT) journal = journal.slice(-JOURNAL_LIMIT);
+    saveJournal();
+  }
+
+  /**
+   * Run an inventory mutation as one undoable command. Whatever mutate
+   * changes in the inventory, shopping list, meal plan and recipe book,
+   * and the history events it logs, can be undone and redone as a unit;
+   * the command is also written to the journal. Commands run inside
+   * another command are part of it. Returns what mutate returns.
+   */
+  function runCommand(label, mutate) {
+    if (activeCommand) return mutate();
+    const before = captureCommandState();
+    const command = { label, events: [] };
+    activeCommand = command;
+    let result;
+    try {
+      result = mutate();
+    } finally {
+      activeCommand = null;
+    }
+    const after = captureCommandState();
+    command.items = diffCommandState(before.items, after.items);
+    command.shopping = diffCommandState(before.shopping, after.shopping);
+    command.meals = diffCommandState(before.meals, after.meals);
+    command.recipes = diffCommandState(before.recipes, after.recipes);
+    const lists = [command.items, command.shopping, command.meals, command.recipes, command.events];
+    if (!lists.some((list) => list.length)) {
+      return result;
+    }
+    undoStack = undoStack.concat(command).slice(-UNDO_LIMIT);
+    redoStack = [];
+    recordJournal(label, command.items);
+    return result;
+  }
+
+  /**
+   * Undo the last command. Returns its label, or null if there was
+   * nothing to undo.
+   */
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) return null;
+    inventory = restoreEntries(inventory, command.items, "before");
+    shoppingList = restoreEntries(shoppingList, command.shopping, "before");
+    mealPlan = restoreEntries(mealPlan, command.meals, "before");
+    recipes = restoreEntries(recipes, command.recipes, "before");
+    const logged = new Set(command.events.map((event) => event.id));
+    history = history.filter((event) => !logged.has(event.id));
+    redoStack.push(command);
+    saveInventory();
+    saveShoppingList();
+    saveMealPlan();
+    saveRecipes();
+    saveHistory();
+    recordJournal(
+      `Undo: ${command.label}`,
+      command.items.map((change) => ({ ...change, before: change.after, after: change.before }))
+    );
+    return command.label;
+  }
+
+  /**
+   * Redo the last undone command. Returns its label, or null if there was
+   * nothing to redo.
+   */
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) return null;
+    inventory = restoreEntries(inventory, command.items, "after");
+    shoppingList = restoreEntries(shoppingList, command.shopping, "after");
+    mealPlan = restoreEntries(mealPlan, command.meals, "after");
+    recipes = restoreEntries(recipes, command.recipes, "after");
+    history = history.concat(command.events).sort((a, b) => a.at.localeCompare(b.at));
+    undoStack.push(command);
+    saveInventory();
+    saveShoppingList();
+    saveMealPlan();
+    saveRecipes();
+    saveHistory();
+    recordJournal(`Redo: ${command.label}`, command.items);
+    return command.label;
+  }
+
+  /**
+   * Forget the undo and redo steps that touch entries changed outside any
+   * command (by a sync), so they can't put back stale copies over other
+   * members' changes. Steps further back depend on those, so they go too.
+   */
+  function dropStaleCommands(changedIds) {
+    const touches = (command) =>
+      command.items.concat(command.shopping).some((change) => changedIds.has(change.id));
+    const keepNewer = (stack) => {
+      let stale = -1;
+      stack.forEach((command, index) => {
+        if (touches(command)) stale = index;
+      });
+      return stack.slice(stale + 1);
+    };
+    undoStack = keepNewer(undoStack);
+    redoStack = keepNewer(redoStack);
+    invalidate("journal");
+  }
+
+  /**
+   * Show a toast offering to undo what was just done. It hides itself
+   * after TOAST_MS, re-rendering only the toast, so typing elsewhere isn't
+   * interrupted.
+   */
+  function showUndoToast(message) {
+    toast = { message };
+    invalidate("toast");
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, TOAST_MS);
+  }
+
+  /**
+   * Hide the undo toast.
+   */
+  function hideToast() {
+    toast = null;
+    clearTimeout(toastTimer);
+    render("toast");
+  }
+
+  /**
+   * Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, except while
+   * typing in a field, where the browser's own text undo applies.
+   */
+  function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest("input, textarea, select")) return;
+    const key = e.key.toLowerCase();
+    let done = null;
+    if (key === "z" && !e.shiftKey) done = undo();
+    else if ((key === "z" && e.shiftKey) || key === "y") done = redo();
+    else return;
+    e.preventDefault();
+    if (done) {
+      hideToast();
+      render();
+    }
   }
 
   /**
@@ -139,6 +1195,123 @@
     );
   }
 
+  /**
+   * Parse a stored YYYY-MM-DD date as local midnight. new Date("2024-05-01")
+   * would be UTC midnight, which is the previous day west of Greenwich.
+   */
+  function parseDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00`) : new Date(value);
+  }
+
+  /**
+   * Where a new lot is stored unless the user says otherwise.
+   */
+  function defaultLocation(category) {
+    if (category === "frozen") return "freezer";
+    if (["dairy", "meat", "seafood"].includes(category)) return "fridge";
+    return "pantry";
+  }
+
+  /**
+   * Recompute an item's total quantity and earliest expiration from its
+   * lots, dropping lots that have been used up.
+   */
+  function syncItemTotals(item) {
+    item.lots = item.lots.filter((lot) => lot.quantity > 0);
+    item.quantity = roundQuantity(item.lots.reduce((sum, lot) => sum + lot.quantity, 0));
+    const dates = item.lots.map((lot) => lot.expirationDate).filter(Boolean).sort();
+    item.expirationDate = dates[0] || null;
+    return item;
+  }
+
+  /**
+   * Lots of an item in the order they should be used: earliest expiration
+   * first, lots without a date last, then oldest purchase first.
+   */
+  function lotsInUseOrder(item) {
+    return item.lots.slice().sort(
+      (a, b) =>
+        (a.expirationDate || "9999").localeCompare(b.expirationDate || "9999") ||
+        (a.purchaseDate || "").localeCompare(b.purchaseDate || "")
+    );
+  }
+
+  /**
+   * Take an amount (in the item's unit) out of an item, first-in first-out
+   * by expiration date. Returns the amount actually consumed, which is
+   * less than asked for when the item runs out.
+   */
+  function consumeFromItem(item, amount) {
+    let remaining = amount;
+    lotsInUseOrder(item).forEach((lot) => {
+      const taken = Math.min(lot.quantity, remaining);
+      lot.quantity = roundQuantity(lot.quantity - taken);
+      remaining = roundQuantity(remaining - taken);
+    });
+    syncItemTotals(item);
+    return roundQuantity(amount - remaining);
+  }
+
+  /**
+   * Put an amount back into an item (e.g. one used by mistake). It goes
+   * into the lot that would be used first, or a new lot if the item has
+   * none left.
+   */
+  function restoreToItem(item, amount) {
+    const [lot] = lotsInUseOrder(item);
+    if (!lot) return addLot(item, { quantity: amount });
+    lot.quantity = roundQuantity(lot.quantity + amount);
+    return syncItemTotals(item);
+  }
+
+  /**
+   * Set an item's total quantity, taking from or putting back into its
+   * lots the same way Use and + do, and log the correction. Returns the
+   * change.
+   */
+  function setItemQuantity(item, quantity) {
+    const change = roundQuantity(quantity - item.quantity);
+    if (change > 0) restoreToItem(item, change);
+    else if (change < 0) consumeFromItem(item, -change);
+    if (change) logEvent("adjust", item, change);
+    return change;
+  }
+
+  /**
+   * Throw out an amount of an item, first-in first-out like a use, and
+   * record it as waste with the reason and what it cost (see
+   * getConsumptionCost). A regular item that runs out goes on the
+   * shopping list. Returns the amount discarded.
+   */
+  function discardFromItem(item, amount, reason) {
+    const cost = getConsumptionCost(item, amount);
+    const discarded = consumeFromItem(item, amount);
+    logEvent("discard", item, discarded, null, { reason, cost });
+    if (item.regular && item.quantity <= 0) {
+      addRestockToShoppingList([{ item, source: "restock" }]);
+      saveShoppingList();
+    }
+    saveInventory();
+    return discarded;
+  }
+
+  /**
+   * Add a new lot to an item. The purchase date defaults to today and the
+   * location to the item's category default. unitCost is what one unit
+   * (in the item's unit) cost, when the price paid was entered.
+   */
+  function addLot(item, { quantity, expirationDate, purchaseDate, location, unitCost }) {
+    item.lots.push({
+      id: generateId(),
+      quantity: roundQuantity(quantity),
+      purchaseDate: purchaseDate || toDateInputValue(new Date()),
+      expirationDate: expirationDate || null,
+      location: LOCATIONS.includes(location) ? location : defaultLocation(item.category),
+      unitCost: Number.isFinite(unitCost) && unitCost >= 0 ? unitCost : null,
+    });
+    return syncItemTotals(item);
+  }
+
   /**
    * Calculate difference in days between two Date objects.
    * Returns positive numbers if end is after start, negative otherwise.
@@ -155,408 +1328,5422 @@
   }
 
   /**
-   * Determine soon to expire items. Returns array of objects with the item
-   * and days until expiration (negative if past due). We consider items
-   * expiring within 5 days as soon to expire.
+   * Format a Date as the local YYYY-MM-DD string used by date inputs and
+   * stored expiration dates.
    */
-  function getSoonExpiringItems() {
-    const now = new Date();
-    return inventory
-      .filter((item) => item.expirationDate)
-      .map((item) => {
-        const expireDate = new Date(item.expirationDate);
-        const daysLeft = daysBetween(now, expireDate);
-        return { item, daysLeft };
-      })
-      .filter((entry) => entry.daysLeft <= 5);
+  function toDateInputValue(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
   }
 
   /**
-   * Determine items that should be restocked. Items flagged as regular and
-   * whose quantity is 0 are suggested for restock. You can modify the
-   * heuristic to suit your needs.
+   * Monday of the week a date falls in, as YYYY-MM-DD.
    */
-  function getRestockItems() {
-    return inventory.filter((item) => item.regular && item.quantity <= 0);
+  function weekStartOf(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return toDateInputValue(monday);
   }
 
   /**
-   * Determine recipe suggestions based on current inventory. Returns an
-   * array of objects { recipe, missing } where missing is array of
-   * ingredients not present in the inventory or insufficient quantity.
+   * The YYYY-MM-DD date a number of days after another.
    */
-  function getRecipeSuggestions() {
-    return recipes.map((recipe) => {
-      const missing = [];
-      recipe.ingredients.forEach((ingredient) => {
-        // find if ingredient exists in inventory by matching name (case‑insensitive)
-        const found = inventory.find(
-          (item) => item.name.toLowerCase() === ingredient.toLowerCase()
-        );
-        if (!found || found.quantity <= 0) {
-          missing.push(ingredient);
-        }
-      });
-      return { recipe, missing };
-    });
+  function addDays(dateString, days) {
+    const date = parseDate(dateString);
+    date.setDate(date.getDate() + days);
+    return toDateInputValue(date);
   }
 
   /**
-   * Suggest the cheapest store for a given item based on the static priceData.
+   * Round a quantity to two decimals so repeated conversions don't leave
+   * floating point noise such as 0.30000000000000004 behind.
    */
-  function getCheapestStoreFor(itemName) {
-    const list = priceData[itemName.toLowerCase()];
-    if (!list || list.length === 0) return null;
-    let cheapest = list[0];
-    list.forEach((entry) => {
-      if (entry.price < cheapest.price) cheapest = entry;
-    });
-    return cheapest;
+  function roundQuantity(value) {
+    return Math.round(value * 100) / 100;
   }
 
   /**
-   * Render the application. We build the HTML structure using template
-   * literals and attach event handlers after insertion. This function is
-   * idempotent and will re-render the entire UI whenever state changes.
+   * Convert an amount between two units from the UNITS table. Volume and
+   * mass convert through the ingredient's density when one is known.
+   * Returns null when the units can't be converted for this ingredient.
    */
-  function render() {
-    // Construct sign‑in/out section
-    let authSection = "";
-    if (!user) {
-      // Show Google sign‑in button placeholder; the actual button will be
-      // rendered by google.accounts.id.renderButton in onReady.
-      authSection = `
-        <div id="auth" class="mb-4 p-4 bg-white rounded shadow">
-          <h2 class="text-lg font-semibold mb-2">Sign in</h2>
-          <div id="google-signin-button"></div>
-          <p class="text-sm mt-2 text-gray-500">
-            Sign in with your Google account to sync your pantry across devices
-            (including smart refrigerators) and enable reminders.
-          </p>
-        </div>`;
+  function convertQuantity(amount, fromUnit, toUnit, ingredientName) {
+    const from = UNITS[fromUnit];
+    const to = UNITS[toUnit];
+    if (!from || !to) return null;
+    const base = amount * from.toBase;
+    if (from.kind === to.kind) return base / to.toBase;
+    const density = findByCanonicalName(ingredientDensities, ingredientName);
+    if (!density) return null;
+    if (from.kind === "volume" && to.kind === "mass") {
+      return (base * density) / to.toBase;
+    }
+    if (from.kind === "mass" && to.kind === "volume") {
+      return base / density / to.toBase;
+    }
+    return null;
+  }
+
+  /**
+   * Format a quantity with its unit label, e.g. "250 g" or "3" for items
+   * counted in pieces.
+   */
+  function formatQuantity(quantity, unit) {
+    const value = roundQuantity(quantity);
+    if (!unit || unit === "each") return `${value}`;
+    const info = UNITS[unit];
+    return `${value} ${info ? info.label : unit}`;
+  }
+
+  /**
+   * Format a recipe ingredient for display, e.g. "1 cup tomato sauce".
+   */
+  function formatIngredient(ingredient) {
+    return `${formatQuantity(ingredient.amount, ingredient.unit)} ${ingredient.name}`;
+  }
+
+  /**
+   * Parse a recipe amount such as "2", "1.5", "1/2", "1 1/2" or "1½".
+   * Returns null if the text doesn't start with an amount.
+   */
+  function parseAmount(text) {
+    const fractions = { "¼": 0.25, "½": 0.5, "¾": 0.75, "⅓": 1 / 3, "⅔": 2 / 3 };
+    let match = /^(?:(\d+)\s+)?(\d+)\/([1-9]\d*)/.exec(text);
+    if (match) {
+      const whole = parseInt(match[1], 10) || 0;
+      const amount = whole + parseInt(match[2], 10) / parseInt(match[3], 10);
+      return { amount, length: match[0].length };
+    }
+    match = /^(\d+(?:[.,]\d+)?)?\s*([¼½¾⅓⅔])?/.exec(text);
+    if (!match[1] && !match[2]) return null;
+    const whole = match[1] ? parseFloat(match[1].replace(",", ".")) : 0;
+    const amount = whole + (match[2] ? fractions[match[2]] : 0);
+    return { amount, length: match[0].length };
+  }
+
+  /**
+   * Parse a free-text ingredient line such as "2 tablespoons olive oil" or
+   * "3 cloves garlic, minced" into { name, amount, unit }. Lines without an
+   * amount count as one piece; lines without a known unit use "each".
+   */
+  function parseIngredientLine(line) {
+    let rest = line.trim().replace(/^[-*•]\s*/, "");
+    let amount = 1;
+    const parsed = parseAmount(rest);
+    if (parsed) {
+      amount = parsed.amount;
+      rest = rest.slice(parsed.length).trim();
+    }
+    let unit = "each";
+    const unitMatch = /^([a-zA-Z]+)\.?\s+(?:of\s+)?/.exec(rest);
+    if (unitMatch && UNIT_ALIASES[unitMatch[1].toLowerCase()]) {
+      unit = UNIT_ALIASES[unitMatch[1].toLowerCase()];
+      rest = rest.slice(unitMatch[0].length);
+    }
+    // Preparation notes after a comma or in parentheses aren't part of the name
+    const name = rest
+      .replace(/\([^)]*\)/g, "")
+      .split(",")[0]
+      .trim()
+      .toLowerCase();
+    return { name, amount: amount || 1, unit };
+  }
+
+  /**
+   * Bring a stored, imported or legacy recipe into the current shape
+   * { id, name, servings, prepTime, tags, ingredients, steps }. Accepts
+   * ingredients as strings and an "instructions" string in place of steps.
+   */
+  function normalizeRecipe(recipe) {
+    const steps = Array.isArray(recipe.steps)
+      ? recipe.steps
+      : String(recipe.instructions || "")
+          .split("\n")
+          .map((step) => step.replace(/^\s*\d+\.\s*/, ""));
+    return {
+      id: recipe.id || generateId(),
+      name: String(recipe.name || "Untitled recipe").trim(),
+      servings: Math.max(1, parseInt(recipe.servings, 10) || 1),
+      prepTime: parseInt(recipe.prepTime, 10) || null,
+      tags: [
+        ...new Set(
+          (Array.isArray(recipe.tags) ? recipe.tags : []).map((tag) => String(tag).trim().toLowerCase())
+        ),
+      ].filter(Boolean),
+      ingredients: (Array.isArray(recipe.ingredients) ? recipe.ingredients : [])
+        .filter((ing) => typeof ing === "string" || (ing && typeof ing === "object"))
+        .map((ing) =>
+          typeof ing === "string"
+            ? parseIngredientLine(ing)
+            : {
+                name: String(ing.name || "").trim().toLowerCase(),
+                amount: parseFloat(ing.amount) || 1,
+                unit: UNITS[ing.unit] ? ing.unit : "each",
+              }
+        )
+        .filter((ing) => ing.name),
+      steps: steps
+        .filter((step) => step !== null && step !== undefined)
+        .map((step) => String(step).trim())
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Convert an ISO 8601 duration such as "PT1H15M" to minutes. Returns
+   * null if the value isn't a duration.
+   */
+  function parseIsoDuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      String(value || "").trim()
+    );
+    if (!match) return null;
+    const [, days, hours, minutes] = match.map((part) => parseInt(part, 10) || 0);
+    return days * 1440 + hours * 60 + minutes || null;
+  }
+
+  /**
+   * Collect every schema.org Recipe node from parsed JSON-LD. Handles a
+   * single object, arrays, "@graph" containers and "@type" arrays.
+   */
+  function findJsonLdRecipes(data) {
+    if (Array.isArray(data)) return data.flatMap(findJsonLdRecipes);
+    if (!data || typeof data !== "object") return [];
+    const types = [].concat(data["@type"] || []);
+    if (types.includes("Recipe")) return [data];
+    return data["@graph"] ? findJsonLdRecipes(data["@graph"]) : [];
+  }
+
+  /**
+   * Flatten schema.org recipeInstructions into an array of step strings.
+   * Instructions may be a single string, strings, HowToStep objects or
+   * HowToSection objects holding further steps.
+   */
+  function jsonLdSteps(instructions) {
+    if (!instructions) return [];
+    if (typeof instructions === "string") {
+      return instructions.split(/\n+/).map((step) => step.replace(/<[^>]+>/g, ""));
+    }
+    if (Array.isArray(instructions)) return instructions.flatMap(jsonLdSteps);
+    if (instructions.itemListElement) return jsonLdSteps(instructions.itemListElement);
+    return jsonLdSteps(instructions.text || instructions.name || "");
+  }
+
+  /**
+   * Build a recipe from a schema.org Recipe node.
+   */
+  function recipeFromJsonLd(node) {
+    const keywords = Array.isArray(node.keywords)
+      ? node.keywords
+      : String(node.keywords || "").split(",");
+    const yieldText = [].concat(node.recipeYield || [])[0];
+    return normalizeRecipe({
+      name: node.name,
+      servings: parseInt(yieldText, 10) || 1,
+      prepTime: parseIsoDuration(node.totalTime) || parseIsoDuration(node.prepTime),
+      tags: keywords
+        .concat(node.recipeCategory || [], node.recipeCuisine || [])
+        .filter((tag) => typeof tag === "string"),
+      ingredients: [].concat(node.recipeIngredient || node.ingredients || []),
+      steps: jsonLdSteps(node.recipeInstructions),
+    });
+  }
+
+  /**
+   * Parse pasted text into recipes. The text may be JSON-LD itself or an
+   * HTML page containing <script type="application/ld+json"> blocks;
+   * everything is parsed locally. Throws an Error when no recipe is found.
+   */
+  function importRecipesFromText(text) {
+    const trimmed = text.trim();
+    let blocks = [];
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      blocks = [trimmed];
+    } else {
+      const doc = new DOMParser().parseFromString(trimmed, "text/html");
+      blocks = Array.from(
+        doc.querySelectorAll('script[type="application/ld+json"]')
+      ).map((script) => script.textContent);
+    }
+    const found = [];
+    blocks.forEach((block) => {
+      try {
+        findJsonLdRecipes(JSON.parse(block)).forEach((node) =>
+          found.push(recipeFromJsonLd(node))
+        );
+      } catch (err) {
+        console.warn("Skipping invalid JSON-LD block", err);
+      }
+    });
+    if (!found.length) throw new Error("No schema.org Recipe found in the pasted text.");
+    return found;
+  }
+
+  /**
+   * Reduce a single English word to its singular form. Handles the regular
+   * plural endings found in grocery names ("berries", "tomatoes",
+   * "peaches", "eggs") and leaves words such as "asparagus" alone.
+   */
+  function singularize(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+    if (word.endsWith("oes")) return word.slice(0, -2);
+    if (/(ches|shes|sses|xes)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith("ves")) return `${word.slice(0, -3)}f`;
+    if (/(ss|us|is)$/.test(word)) return word;
+    if (word.endsWith("s")) return word.slice(0, -1);
+    return word;
+  }
+
+  /**
+   * Normalize an item or ingredient name for matching: lowercase, drop
+   * anything in parentheses, sizes such as "12oz" or "1.5 l", package and
+   * brand words, then singularize what is left. "Eggs (dozen)" and
+   * "Organic Bananas 3 lb" become "egg" and "banana".
+   */
+  function normalizeName(name) {
+    const key = name || "";
+    if (normalizedNames.has(key)) return normalizedNames.get(key);
+    if (normalizedNames.size > NORMALIZED_NAMES_LIMIT) normalizedNames.clear();
+    const words = key
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, " ")
+      .replace(/\d+([.,]\d+)?\s*-?(fl oz|oz|lbs?|kg|g|ml|l|gal|ct|pk|pack)?\b/g, " ")
+      .split(/[^a-z]+/)
+      .filter(Boolean);
+    const meaningful = words.filter((word) => !nameNoiseWords.has(word));
+    // A name made only of noise words ("Large") is kept as written
+    const normalized = (meaningful.length ? meaningful : words).map(singularize).join(" ");
+    normalizedNames.set(key, normalized);
+    return normalized;
+  }
+
+  /**
+   * Resolve a name to its canonical ingredient, following the alias table.
+   */
+  function canonicalName(name) {
+    const normalized = normalizeName(name);
+    const aliased = ingredientAliases[normalized];
+    return aliased ? normalizeName(aliased) : normalized;
+  }
+
+  /**
+   * Look up a table keyed by ingredient name (such as priceData) using
+   * canonical names on both sides, so "Bananas" finds the "banana" entry
+   * and vice versa. Returns undefined when no key matches.
+   */
+  function findByCanonicalName(table, name) {
+    const wanted = canonicalName(name);
+    const key = Object.keys(table).find((k) => canonicalName(k) === wanted);
+    return key === undefined ? undefined : table[key];
+  }
+
+  /**
+   * Category of an inventory item: the one set on the item if any,
+   * otherwise the default for its canonical name.
+   */
+  function getItemCategory(item) {
+    return item.category || defaultCategories[canonicalName(item.name)] || null;
+  }
+
+  /**
+   * Score how well an inventory item matches a recipe ingredient name.
+   * Returns null when it doesn't match, otherwise { score, how } where a
+   * higher score is a closer match:
+   *   3 "name"     – same canonical name (after plurals, noise and aliases)
+   *   2 "partial"  – the item is a more specific kind of the ingredient,
+   *                  e.g. "Roma tomatoes" for "tomato" (same final word and
+   *                  every ingredient word present)
+   *   1 "category" – the ingredient names a category the item belongs to
+   */
+  function matchIngredientName(ingredientName, item) {
+    const wanted = canonicalName(ingredientName);
+    const have = canonicalName(item.name);
+    if (!wanted || !have) return null;
+    if (wanted === have) return { score: 3, how: "name" };
+    const wantedWords = wanted.split(" ");
+    const haveWords = have.split(" ");
+    if (
+      wantedWords[wantedWords.length - 1] === haveWords[haveWords.length - 1] &&
+      wantedWords.every((word) => haveWords.includes(word))
+    ) {
+      return { score: 2, how: "partial" };
+    }
+    if (CATEGORIES.includes(wanted) && getItemCategory(item) === wanted) {
+      return { score: 1, how: "category" };
+    }
+    return null;
+  }
+
+  /**
+   * Group the inventory by the last word of each item's canonical name and
+   * by category, the only ways an item can match an ingredient (see
+   * matchIngredientName), so checking a long recipe list doesn't compare
+   * every ingredient with every item. Returns { byWord, byCategory,
+   * position, matches } where position maps each item to its inventory
+   * index and matches remembers findMatchingItems results.
+   */
+  function indexInventory() {
+    const byWord = new Map();
+    const byCategory = new Map();
+    const position = new Map();
+    const add = (map, key, item) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(item);
+    };
+    inventory.forEach((item, index) => {
+      position.set(item, index);
+      const name = canonicalName(item.name);
+      if (name) add(byWord, name.split(" ").pop(), item);
+      const category = getItemCategory(item);
+      if (category) add(byCategory, category, item);
+    });
+    // Matches already found, by ingredient name (recipes share many)
+    const matches = new Map();
+    return { byWord, byCategory, position, matches };
+  }
+
+  /**
+   * Find inventory items that can stand in for an ingredient name, best
+   * match first (inventory order among equals). Returns an array of
+   * { item, score, how }. Pass an index from indexInventory when matching
+   * many ingredients at once.
+   */
+  function findMatchingItems(ingredientName, index = indexInventory()) {
+    if (index.matches.has(ingredientName)) return index.matches.get(ingredientName);
+    const wanted = canonicalName(ingredientName);
+    if (!wanted) return [];
+    const candidates = new Set([
+      ...(index.byWord.get(wanted.split(" ").pop()) || []),
+      ...(index.byCategory.get(wanted) || []),
+    ]);
+    const matches = [...candidates]
+      .sort((a, b) => index.position.get(a) - index.position.get(b))
+      .map((item) => ({ item, ...matchIngredientName(ingredientName, item) }))
+      .filter((match) => match.score)
+      .sort((a, b) => b.score - a.score);
+    index.matches.set(ingredientName, matches);
+    return matches;
+  }
+
+  /**
+   * Whether an ingredient is covered by one of the pantry staples. A staple
+   * also covers more specific kinds of itself, so "oil" covers "olive oil".
+   */
+  function isStapleIngredient(ingredientName) {
+    return pantryStaples.some((staple) =>
+      matchIngredientName(staple, { name: ingredientName })
+    );
+  }
+
+  /**
+   * How much of an item is free to use: its quantity less what planned
+   * meals have reserved (a Map of item id to amount, as from
+   * getReservations).
+   */
+  function getAvailableQuantity(item, reserved) {
+    return roundQuantity(Math.max(0, item.quantity - (reserved.get(item.id) || 0)));
+  }
+
+  /**
+   * Check one recipe ingredient against the inventory. Returns an object
+   * { ingredient, item, how, needed, available, enough, staple } where
+   * item is the inventory item that satisfies the ingredient (the best
+   * match with enough quantity, or the best match at all), how is the
+   * kind of match, needed is the ingredient amount converted to the
+   * item's unit (null if the units are incompatible), available is how
+   * much of the item isn't reserved, enough tells whether that is
+   * sufficient and staple whether the user always has it on hand. index
+   * is passed on to findMatchingItems; reserved holds what planned meals
+   * have set aside, as from getReservations.
+   */
+  function checkIngredient(ingredient, index, reserved = new Map()) {
+    const staple = isStapleIngredient(ingredient.name);
+    const checks = findMatchingItems(ingredient.name, index).map(({ item, how }) => {
+      const needed = convertQuantity(
+        ingredient.amount,
+        ingredient.unit,
+        item.unit || "each",
+        ingredient.name
+      );
+      const available = getAvailableQuantity(item, reserved);
+      const enough =
+        needed !== null && roundQuantity(available - needed) >= 0;
+      return { ingredient, item, how, needed, available, enough, staple };
+    });
+    return (
+      checks.find((check) => check.enough) ||
+      checks[0] || { ingredient, item: null, how: null, needed: null, available: 0, enough: false, staple }
+    );
+  }
+
+  /**
+   * Determine soon to expire lots. Returns array of objects with the item,
+   * the lot and days until expiration (negative if past due), so two lots
+   * of milk with different dates are reported separately. A lot is soon to
+   * expire within its category's notification lead time.
+   */
+  function getSoonExpiringItems() {
+    const now = new Date();
+    return inventory
+      .flatMap((item) => item.lots.map((lot) => ({ item, lot })))
+      .filter(({ lot }) => lot.expirationDate)
+      .map(({ item, lot }) => {
+        const expireDate = parseDate(lot.expirationDate);
+        const daysLeft = daysBetween(now, expireDate);
+        return { item, lot, daysLeft };
+      })
+      .filter((entry) => entry.daysLeft <= getLeadDays(getItemCategory(entry.item)))
+      .sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+
+  /**
+   * Days before expiry to start reminding about a lot in a category.
+   */
+  function getLeadDays(category) {
+    const lead = notificationSettings.leadDays[category];
+    return lead === undefined ? notificationSettings.defaultLeadDays : lead;
+  }
+
+  /**
+   * Inventory items matching the search box and filter chips, in the
+   * chosen order. The search matches name, category, barcode and storage
+   * location; items without an expiration date sort last.
+   */
+  function getVisibleInventory() {
+    const { search, sort, category, location } = inventoryView;
+    const query = search.trim().toLowerCase();
+    const visible = inventory.filter((item) => {
+      if (category && getItemCategory(item) !== category) return false;
+      if (location && !item.lots.some((lot) => lot.location === location)) return false;
+      if (!query) return true;
+      return [item.name, getItemCategory(item), item.barcode, ...item.lots.map((lot) => lot.location)].some(
+        (text) => text && text.toLowerCase().includes(query)
+      );
+    });
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base", numeric: true });
+    if (sort === "name") visible.sort(byName);
+    if (sort === "quantity") visible.sort((a, b) => a.quantity - b.quantity || byName(a, b));
+    if (sort === "expiration") {
+      visible.sort(
+        (a, b) =>
+          (a.expirationDate || "9999").localeCompare(b.expirationDate || "9999") || byName(a, b)
+      );
+    }
+    return visible;
+  }
+
+  /**
+   * History events for an item: those recorded against it, plus those for
+   * earlier items of the same name (so deleting and re-adding milk keeps
+   * its usage history). Newest last.
+   */
+  function getItemHistory(item) {
+    if (!historyIndex || historyIndex.source !== history || historyIndex.length !== history.length) {
+      historyIndex = { source: history, length: history.length, byItem: new Map(), byName: new Map() };
+      const add = (map, key, position) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(position);
+      };
+      history.forEach((event, position) => {
+        add(historyIndex.byItem, event.itemId, position);
+        add(historyIndex.byName, canonicalName(event.name), position);
+      });
+    }
+    const positions = new Set([
+      ...(historyIndex.byItem.get(item.id) || []),
+      ...(historyIndex.byName.get(canonicalName(item.name)) || []),
+    ]);
+    return [...positions].sort((a, b) => a - b).map((position) => history[position]);
+  }
+
+  /**
+   * Estimate how fast an item is used, from its use and cook events in the
+   * last CONSUMPTION_WINDOW_DAYS. Returns { perDay, events } with perDay in
+   * the item's unit, or null with fewer than two events to go on. The
+   * period runs from the first event to today, at least a week, so a
+   * burst of use on one day doesn't look like a daily habit.
+   */
+  function getConsumptionRate(item) {
+    const now = new Date();
+    const events = getItemHistory(item).filter(
+      (event) =>
+        (event.type === "use" || event.type === "cook") &&
+        daysBetween(new Date(event.at), now) <= CONSUMPTION_WINDOW_DAYS
+    );
+    if (events.length < 2) return null;
+    const total = events.reduce(
+      (sum, event) =>
+        sum + (convertQuantity(event.quantity, event.unit, item.unit, item.name) || 0),
+      0
+    );
+    const days = Math.max(7, daysBetween(new Date(events[0].at), now));
+    return { perDay: total / days, events: events.length };
+  }
+
+  /**
+   * Predict when an item will run out at its current rate of use. Returns
+   * { perDay, daysLeft, runOutDate } or null when there isn't enough
+   * history or the item isn't being used.
+   */
+  function getRunOutForecast(item) {
+    const rate = getConsumptionRate(item);
+    if (!rate || rate.perDay <= 0) return null;
+    const daysLeft = Math.floor(item.quantity / rate.perDay);
+    const runOutDate = new Date();
+    runOutDate.setDate(runOutDate.getDate() + daysLeft);
+    return { perDay: rate.perDay, daysLeft, runOutDate };
+  }
+
+  /**
+   * Determine items that should be restocked: regular items whose quantity
+   * is 0, and items (regular, or used at least three times recently) that
+   * are predicted to run out within restockLeadDays so they can go on this
+   * week's list before they are gone.
+   */
+  function getRestockItems() {
+    return inventory.filter((item) => {
+      if (item.regular && item.quantity <= 0) return true;
+      const forecast = getRunOutForecast(item);
+      if (!forecast || forecast.daysLeft > restockLeadDays) return false;
+      return item.regular || getConsumptionRate(item).events >= 3;
+    });
+  }
+
+  /**
+   * Pantry-level usage statistics from the history: the most used items
+   * (by number of use and cook events) and, per item, how much was used
+   * versus thrown out (discarded, or deleted while some was left). Returns
+   * { mostUsed: [{ name, unit, uses, used, thrown }], usedEvents,
+   *   thrownEvents }.
+   */
+  function getPantryStats() {
+    const byName = {};
+    let usedEvents = 0;
+    let thrownEvents = 0;
+    history.forEach((event) => {
+      const key = canonicalName(event.name);
+      const stats = (byName[key] = byName[key] || {
+        name: event.name,
+        unit: event.unit,
+        uses: 0,
+        used: 0,
+        thrown: 0,
+      });
+      const amount = convertQuantity(event.quantity, event.unit, stats.unit, event.name) || 0;
+      if (event.type === "use" || event.type === "cook") {
+        stats.uses += 1;
+        stats.used += amount;
+        usedEvents += 1;
+      } else if (event.type === "discard" || (event.type === "delete" && event.quantity > 0)) {
+        stats.thrown += amount;
+        thrownEvents += 1;
+      }
+    });
+    const mostUsed = Object.values(byName)
+      .filter((stats) => stats.uses || stats.thrown)
+      .sort((a, b) => b.uses - a.uses || b.thrown - a.thrown);
+    return { mostUsed, usedEvents, thrownEvents };
+  }
+
+  /**
+   * Money spent and wasted over the last WASTE_MONTHS months, from the
+   * history: purchases at the price entered or the price book's estimate,
+   * discards at what their lots cost. Returns { months, spent, wasted,
+   * unpriced, mostWasted, reminders } where months is
+   * [{ key, label, spent, wasted }] oldest first, unpriced counts discards
+   * with no known price, mostWasted is [{ name, unit, quantity, cost,
+   * discards, reasons }] by cost and then count, and reminders compares
+   * all history with reminders on and off as { on, off }, each
+   * { removed, discarded }: events where something left the pantry and
+   * those where it was thrown out.
+   */
+  function getWasteReport() {
+    const now = new Date();
+    const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+    const months = [];
+    for (let back = WASTE_MONTHS - 1; back >= 0; back -= 1) {
+      const date = new Date(now.getFullYear(), now.getMonth() - back, 1);
+      months.push({
+        key: monthKey(date),
+        label: date.toLocaleDateString(undefined, { month: "short", year: "numeric" }),
+        spent: 0,
+        wasted: 0,
+      });
+    }
+    const byMonth = new Map(months.map((month) => [month.key, month]));
+    const byName = new Map();
+    const reminders = { on: { removed: 0, discarded: 0 }, off: { removed: 0, discarded: 0 } };
+    let unpriced = 0;
+    history.forEach((event) => {
+      const discard = event.type === "discard";
+      if (typeof event.reminders === "boolean" && (discard || event.type === "use" || event.type === "cook")) {
+        const group = reminders[event.reminders ? "on" : "off"];
+        group.removed += 1;
+        if (discard) group.discarded += 1;
+      }
+      const month = byMonth.get(monthKey(new Date(event.at)));
+      if (!month) return;
+      if (event.type === "add") month.spent = roundQuantity(month.spent + (event.cost || 0));
+      if (!discard) return;
+      if (typeof event.cost !== "number") unpriced += 1;
+      month.wasted = roundQuantity(month.wasted + (event.cost || 0));
+      const key = canonicalName(event.name);
+      if (!byName.has(key)) {
+        byName.set(key, { name: event.name, unit: event.unit, quantity: 0, cost: 0, discards: 0, reasons: {} });
+      }
+      const waste = byName.get(key);
+      const amount = convertQuantity(event.quantity, event.unit, waste.unit, event.name) || 0;
+      waste.quantity = roundQuantity(waste.quantity + amount);
+      waste.cost = roundQuantity(waste.cost + (event.cost || 0));
+      waste.discards += 1;
+      waste.reasons[event.reason] = (waste.reasons[event.reason] || 0) + 1;
+    });
+    const mostWasted = [...byName.values()].sort((a, b) => b.cost - a.cost || b.discards - a.discards);
+    return {
+      months,
+      spent: roundQuantity(months.reduce((sum, month) => sum + month.spent, 0)),
+      wasted: roundQuantity(months.reduce((sum, month) => sum + month.wasted, 0)),
+      unpriced,
+      mostWasted,
+      reminders,
+    };
+  }
+
+  /**
+   * Score a recipe for the suggestions list. Every recipe starts at 100,
+   * loses 25 points per missing ingredient and gains points for each
+   * ingredient that would use up an item from getSoonExpiringItems (the
+   * sooner it expires, the more points). Items already past their date
+   * don't earn a boost since they shouldn't be cooked. expiring maps item
+   * ids to days left, as from getExpiringDays. Returns { score, reasons }
+   * where reasons explains each adjustment.
+   */
+  function scoreRecipe(checks, missing, expiring = getExpiringDays()) {
+    let score = 100;
+    const reasons = [];
+    if (missing.length) {
+      score -= missing.length * 25;
+      reasons.push(`Missing ${missing.length} ingredient${missing.length > 1 ? "s" : ""} (−${missing.length * 25})`);
+    } else {
+      reasons.push("Cookable now");
+    }
+    checks.forEach(({ item }) => {
+      if (!item || !expiring.has(item.id)) return;
+      const daysLeft = expiring.get(item.id);
+      const boost = 15 + (5 - Math.min(daysLeft, 5)) * 3;
+      score += boost;
+      reasons.push(
+        `Uses ${item.name}, expiring ${daysLeft === 0 ? "today" : `in ${daysLeft} day${daysLeft > 1 ? "s" : ""}`} (+${boost})`
+      );
+    });
+    const staples = checks.filter((check) => check.staple && !check.enough);
+    if (staples.length) {
+      reasons.push(`Assumes you have ${staples.map((c) => c.ingredient.name).join(", ")}`);
+    }
+    return { score, reasons };
+  }
+
+  /**
+   * Days left on the soonest soon-to-expire lot of each item that is still
+   * good, as a Map keyed by item id.
+   */
+  function getExpiringDays() {
+    const expiring = new Map();
+    getSoonExpiringItems()
+      .filter(({ daysLeft }) => daysLeft >= 0)
+      .forEach(({ item, daysLeft }) => {
+        if (!expiring.has(item.id)) expiring.set(item.id, daysLeft);
+      });
+    return expiring;
+  }
+
+  /**
+   * Weight in grams of a recipe ingredient: masses convert directly,
+   * volumes through the ingredient's density and pieces through the
+   * weight of one in its nutrition entry. null when it can't be worked
+   * out.
+   */
+  function ingredientGrams(ingredient, info) {
+    if (UNITS[ingredient.unit].kind === "count") {
+      return info.gramsEach ? ingredient.amount * info.gramsEach : null;
+    }
+    return convertQuantity(ingredient.amount, ingredient.unit, "g", ingredient.name);
+  }
+
+  /**
+   * Nutrition of one serving of a recipe from ingredientNutrition.
+   * Returns { calories, protein, carbs, fat, contains, unknown } where
+   * contains lists what any ingredient contains (allergens and animal
+   * products) and unknown the ingredients left out of the totals for
+   * want of data.
+   */
+  function getRecipeNutrition(recipe) {
+    const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+    const contains = new Set();
+    const unknown = [];
+    recipe.ingredients.forEach((ingredient) => {
+      const info = findByCanonicalName(ingredientNutrition, ingredient.name);
+      const grams = info ? ingredientGrams(ingredient, info) : null;
+      if (info) info.contains.forEach((what) => contains.add(what));
+      if (grams === null) {
+        unknown.push(ingredient.name);
+        return;
+      }
+      Object.keys(totals).forEach((key) => {
+        totals[key] += (info[key] * grams) / 100;
+      });
+    });
+    Object.keys(totals).forEach((key) => {
+      totals[key] = Math.round(totals[key] / recipe.servings);
+    });
+    return { ...totals, contains: [...contains].sort(), unknown };
+  }
+
+  /**
+   * Ingredients of a recipe that don't suit a household member's diets.
+   * Returns [{ ingredient, diets, substitutes }] where diets are the
+   * member's diets the ingredient breaks and substitutes the stand-ins
+   * from its nutrition entry that suit all of the member's diets.
+   */
+  function getDietConflicts(recipe, profile) {
+    const brokenDiets = (info) =>
+      profile.diets.filter((diet) => DIETS[diet] && DIETS[diet].some((what) => info.contains.includes(what)));
+    return recipe.ingredients
+      .map((ingredient) => {
+        const info = findByCanonicalName(ingredientNutrition, ingredient.name);
+        const diets = info ? brokenDiets(info) : [];
+        const substitutes = diets.length
+          ? (info.substitutes || []).filter((name) => {
+              const substitute = findByCanonicalName(ingredientNutrition, name);
+              return substitute && !brokenDiets(substitute).length;
+            })
+          : [];
+        return { ingredient, diets, substitutes };
+      })
+      .filter((conflict) => conflict.diets.length);
+  }
+
+  /**
+   * Household members a recipe doesn't suit, as
+   * [{ profile, conflicts }] from getDietConflicts.
+   */
+  function getRecipeWarnings(recipe) {
+    return dietProfiles
+      .map((profile) => ({ profile, conflicts: getDietConflicts(recipe, profile) }))
+      .filter(({ conflicts }) => conflicts.length);
+  }
+
+  /**
+   * Describe why a recipe doesn't suit a household member, e.g. "Sam:
+   * peanut butter (nut allergy), try sunflower seed butter".
+   */
+  function formatDietWarning({ profile, conflicts }) {
+    const parts = conflicts.map(
+      ({ ingredient, diets, substitutes }) =>
+        `${ingredient.name} (${diets.join(", ")})${substitutes.length ? `, try ${substitutes.join(" or ")}` : ""}`
+    );
+    return `${profile.name}: ${parts.join("; ")}`;
+  }
+
+  /**
+   * Determine recipe suggestions based on current inventory. Returns an
+   * array of objects { recipe, checks, missing, score, reasons } sorted
+   * best first, where checks holds the result of checkIngredient for every
+   * ingredient (including which inventory item satisfied it), missing is
+   * array of ingredients not present in the inventory or insufficient
+   * quantity once the recipe amount is converted to the item's unit and
+   * planned meals have taken what they reserve (pantry staples are never
+   * missing), score/reasons come from scoreRecipe and warnings lists the
+   * household members whose diets the recipe doesn't suit (see
+   * getRecipeWarnings).
+   */
+  function getRecipeSuggestions() {
+    const index = indexInventory();
+    const expiring = getExpiringDays();
+    const { reserved } = getReservations(index);
+    return recipes
+      .map((recipe) => {
+        const checks = recipe.ingredients.map((ingredient) => checkIngredient(ingredient, index, reserved));
+        const missing = checks
+          .filter((check) => !check.enough && !check.staple)
+          .map((check) => check.ingredient);
+        const warnings = getRecipeWarnings(recipe);
+        return { recipe, checks, missing, warnings, ...scoreRecipe(checks, missing, expiring) };
+      })
+      .sort((a, b) => b.score - a.score || a.recipe.name.localeCompare(b.recipe.name));
+  }
+
+  /**
+   * Apply the suggestion filters: cookable now, missing at most N
+   * ingredients, a recipe tag and suiting everyone's diet.
+   */
+  function filterSuggestions(suggestions, filters) {
+    return suggestions.filter(({ recipe, missing, warnings }) => {
+      if (filters.cookableOnly && missing.length) return false;
+      if (filters.suitsEveryone && warnings.length) return false;
+      if (filters.maxMissing !== null && missing.length > filters.maxMissing) return false;
+      if (filters.tag && !recipe.tags.includes(filters.tag)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * A recipe's ingredients scaled from the servings it makes to another
+   * number of servings.
+   */
+  function scaleIngredients(recipe, servings) {
+    const factor = servings / recipe.servings;
+    return recipe.ingredients.map((ingredient) => ({
+      ...ingredient,
+      amount: roundQuantity(ingredient.amount * factor),
+    }));
+  }
+
+  /**
+   * Planned meals that hold on to their ingredients: those not cooked
+   * yet, today or later, earliest first, as [{ meal, recipe }]. Meals
+   * whose recipe was deleted are left out.
+   */
+  function getPendingMeals() {
+    const today = toDateInputValue(new Date());
+    return mealPlan
+      .filter((meal) => !meal.cooked && meal.date >= today)
+      .map((meal) => ({ meal, recipe: recipes.find((r) => r.id === meal.recipeId) }))
+      .filter(({ recipe }) => recipe)
+      .sort((a, b) => a.meal.date.localeCompare(b.meal.date));
+  }
+
+  /**
+   * Meals planned for the week starting on weekStart, by date and then in
+   * the order they were planned, as [{ meal, recipe }]. Meals whose
+   * recipe was deleted are left out.
+   */
+  function getWeekMeals(weekStart) {
+    const weekEnd = addDays(weekStart, 7);
+    return mealPlan
+      .filter((meal) => meal.date >= weekStart && meal.date < weekEnd)
+      .map((meal) => ({ meal, recipe: recipes.find((r) => r.id === meal.recipeId) }))
+      .filter(({ recipe }) => recipe)
+      .sort((a, b) => a.meal.date.localeCompare(b.meal.date));
+  }
+
+  /**
+   * Set aside inventory for the pending meals, earliest first, the way
+   * cooking each would use it. Returns { reserved, short } where reserved
+   * maps item ids to the amount held (in the item's unit) and short lists
+   * what is still needed as [{ meal, recipe, ingredient, amount, unit }]:
+   * the shortfall in the matching item's unit, or the whole ingredient
+   * when nothing matches. A meal that can't get all of an ingredient
+   * reserves what is left of it. Given a planned meal as until (e.g. the
+   * one about to be cooked), only the meals ahead of it reserve anything.
+   * index is passed on to findMatchingItems.
+   */
+  function getReservations(index = null, until = null) {
+    const reserved = new Map();
+    const short = [];
+    const pending = getPendingMeals();
+    if (!pending.length) return { reserved, short };
+    const matchIndex = index || indexInventory();
+    const stop = until ? pending.findIndex(({ meal }) => meal.id === until.id) : -1;
+    pending
+      .slice(0, stop < 0 ? pending.length : stop)
+      .forEach(({ meal, recipe }) => {
+        scaleIngredients(recipe, meal.servings).forEach((ingredient) => {
+          const { item, needed, available, enough, staple } = checkIngredient(ingredient, matchIndex, reserved);
+          if (item && needed !== null) {
+            reserved.set(item.id, roundQuantity((reserved.get(item.id) || 0) + Math.min(needed, available)));
+          }
+          if (enough || staple) return;
+          if (item && needed !== null) {
+            short.push({ meal, recipe, ingredient, amount: roundQuantity(needed - available), unit: item.unit });
+          } else {
+            short.push({ meal, recipe, ingredient, amount: ingredient.amount, unit: ingredient.unit });
+          }
+        });
+      });
+    return { reserved, short };
+  }
+
+  /**
+   * What the pending meals of the week starting on weekStart are still
+   * short of, adding up amounts of the same ingredient in the same unit.
+   * Returns [{ name, amount, unit, recipes }] with the names of the
+   * recipes that need it.
+   */
+  function getWeekNeeds(weekStart) {
+    const weekEnd = addDays(weekStart, 7);
+    const needs = new Map();
+    getReservations()
+      .short.filter(({ meal }) => meal.date >= weekStart && meal.date < weekEnd)
+      .forEach(({ recipe, ingredient, amount, unit }) => {
+        const key = `${canonicalName(ingredient.name)}|${unit}`;
+        if (!needs.has(key)) needs.set(key, { name: ingredient.name, amount: 0, unit, recipes: [] });
+        const need = needs.get(key);
+        need.amount = roundQuantity(need.amount + amount);
+        if (!need.recipes.includes(recipe.name)) need.recipes.push(recipe.name);
+      });
+    return [...needs.values()];
+  }
+
+  /**
+   * Current prices for an item: the most recently observed record for each
+   * store. Returns an empty array when the item has no prices.
+   */
+  function getCurrentPrices(itemName) {
+    const latest = {};
+    (findByCanonicalName(priceData, itemName) || []).forEach((record) => {
+      const known = latest[record.store];
+      if (!known || (record.observedOn || "") >= (known.observedOn || "")) {
+        latest[record.store] = record;
+      }
+    });
+    return Object.values(latest);
+  }
+
+  /**
+   * Price of one unit of an item from a price record, expressed in the
+   * given unit (e.g. dollars per gram). Returns null when the record's
+   * package size can't be converted to that unit.
+   */
+  function getUnitPrice(record, unit, itemName) {
+    const size = convertQuantity(record.size || 1, record.unit || "each", unit, itemName);
+    return size ? record.price / size : null;
+  }
+
+  /**
+   * Format the unit price of a record for display, per 100 g, per 100 ml or
+   * per piece depending on the package unit.
+   */
+  function formatUnitPrice(record, itemName) {
+    const kind = (UNITS[record.unit] || UNITS.each).kind;
+    if (kind === "count") return `$${getUnitPrice(record, "each", itemName).toFixed(2)}/each`;
+    const base = kind === "mass" ? "g" : "ml";
+    return `$${(getUnitPrice(record, base, itemName) * 100).toFixed(2)}/100 ${base}`;
+  }
+
+  /**
+   * Suggest the cheapest store for a given item from the price book,
+   * comparing unit prices so packages of different sizes are fair. Records
+   * whose size can't be converted are compared on package price after
+   * those that can.
+   */
+  function getCheapestStoreFor(itemName) {
+    const list = getCurrentPrices(itemName);
+    if (list.length === 0) return null;
+    const unit = list[0].unit || "each";
+    const rank = (record) => {
+      const unitPrice = getUnitPrice(record, unit, itemName);
+      return unitPrice === null ? [1, record.price] : [0, unitPrice];
+    };
+    let cheapest = list[0];
+    list.forEach((entry) => {
+      const [group, price] = rank(entry);
+      const [bestGroup, bestPrice] = rank(cheapest);
+      if (group < bestGroup || (group === bestGroup && price < bestPrice)) cheapest = entry;
+    });
+    return cheapest;
+  }
+
+  /**
+   * Value of an amount of an item (in the given unit) at the cheapest
+   * current price in the price book, or null when it has no price that
+   * converts to the unit.
+   */
+  function getPriceBookCost(itemName, quantity, unit) {
+    const record = getCheapestStoreFor(itemName);
+    const unitPrice = record ? getUnitPrice(record, unit, itemName) : null;
+    return unitPrice === null ? null : roundQuantity(quantity * unitPrice);
+  }
+
+  /**
+   * Value of an amount taken from one lot of an item: at the price paid
+   * for the lot when it was entered, otherwise the price book's. null
+   * when neither is known.
+   */
+  function getLotCost(item, lot, amount) {
+    if (typeof lot.unitCost === "number") return roundQuantity(amount * lot.unitCost);
+    return getPriceBookCost(item.name, amount, item.unit);
+  }
+
+  /**
+   * Value of an amount of an item taken the way consumeFromItem takes it,
+   * lot by lot in use order (see getLotCost). null when none of it can
+   * be priced.
+   */
+  function getConsumptionCost(item, amount) {
+    let remaining = amount;
+    let cost = null;
+    lotsInUseOrder(item).forEach((lot) => {
+      const taken = Math.min(lot.quantity, remaining);
+      remaining = roundQuantity(remaining - taken);
+      const lotCost = taken > 0 ? getLotCost(item, lot, taken) : null;
+      if (lotCost !== null) cost = roundQuantity((cost || 0) + lotCost);
+    });
+    return cost;
+  }
+
+  /**
+   * Cost of buying a shopping list entry with a price record: the number of
+   * whole packages needed to cover the entry quantity, at least one. When
+   * the units can't be converted one package is assumed.
+   */
+  function getPackageCost(entry, record) {
+    const needed = convertQuantity(entry.quantity, entry.unit, record.unit || "each", entry.name);
+    const packages =
+      needed === null ? 1 : Math.max(1, Math.ceil(roundQuantity(needed / (record.size || 1))));
+    return { packages, cost: packages * record.price };
+  }
+
+  /**
+   * Every combination of up to max stores from the list (max may be
+   * Infinity), used by the basket optimizer. Store counts are small so
+   * enumerating them is cheap.
+   */
+  function storeCombinations(stores, max) {
+    const combos = [];
+    const build = (start, current) => {
+      if (current.length) combos.push(current);
+      if (current.length >= max) return;
+      for (let i = start; i < stores.length; i += 1) build(i + 1, current.concat(stores[i]));
+    };
+    build(0, []);
+    return combos;
+  }
+
+  /**
+   * Work out the cheapest way to buy a list of shopping entries when
+   * visiting at most maxStores stores. Each candidate set of stores buys
+   * every entry where it is cheapest within the set; the set pricing the
+   * most entries wins, then the lowest total. Returns
+   * { stores: [{ store, lines, total }], total, unpriced, savings } where
+   * lines are { entry, record, packages, cost }, unpriced lists entries no
+   * chosen store sells, and savings compares the plan with buying the same
+   * entries at the best single store (null when that store can't supply
+   * them all).
+   */
+  function planShoppingBasket(entries, maxStores) {
+    const offers = entries.map((entry) => ({ entry, records: getCurrentPrices(entry.name) }));
+    const allStores = [...new Set(offers.flatMap((o) => o.records.map((r) => r.store)))].sort();
+    const evaluate = (stores) => {
+      const byStore = {};
+      const unpriced = [];
+      let total = 0;
+      offers.forEach(({ entry, records }) => {
+        let best = null;
+        records
+          .filter((record) => stores.includes(record.store))
+          .forEach((record) => {
+            const line = { entry, record, ...getPackageCost(entry, record) };
+            if (!best || line.cost < best.cost) best = line;
+          });
+        if (!best) {
+          unpriced.push(entry);
+          return;
+        }
+        byStore[best.record.store] = byStore[best.record.store] || [];
+        byStore[best.record.store].push(best);
+        total += best.cost;
+      });
+      return { byStore, unpriced, total };
+    };
+    const better = (a, b) =>
+      !b || a.unpriced.length < b.unpriced.length ||
+      (a.unpriced.length === b.unpriced.length && a.total < b.total - 1e-9);
+    let plan = null;
+    let single = null;
+    storeCombinations(allStores, maxStores).forEach((stores) => {
+      const result = evaluate(stores);
+      if (better(result, plan)) plan = result;
+      if (stores.length === 1 && better(result, single)) single = result;
+    });
+    if (!plan) return { stores: [], total: 0, unpriced: entries, savings: null };
+    return {
+      stores: Object.keys(plan.byStore).map((store) => ({
+        store,
+        lines: plan.byStore[store],
+        total: plan.byStore[store].reduce((sum, line) => sum + line.cost, 0),
+      })),
+      total: plan.total,
+      unpriced: plan.unpriced,
+      savings: single.unpriced.length <= plan.unpriced.length ? single.total - plan.total : null,
+    };
+  }
+
+  /**
+   * Parse CSV text into an array of rows (arrays of strings). Supports
+   * quoted fields with embedded delimiters, newlines and doubled quotes.
+   * Pass "\t" as the delimiter for tab-separated dumps.
+   */
+  function parseCsv(text, delimiter = ",") {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i += 1) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i += 1;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((cell) => cell.trim()));
+  }
+
+  /**
+   * Add a price record to the price book under the item's existing key
+   * when there is one. Does not save.
+   */
+  function addPriceRecord(itemName, record) {
+    const wanted = canonicalName(itemName);
+    const key =
+      Object.keys(priceData).find((k) => canonicalName(k) === wanted) ||
+      itemName.trim().toLowerCase();
+    priceData[key] = (priceData[key] || []).concat(record);
+  }
+
+  /**
+   * Import price records from CSV with a header row naming the columns
+   * item, store, price, size, unit and observed_on (size, unit and date are
+   * optional). Returns { added, errors } where errors describe rows that
+   * were skipped. Does not save.
+   */
+  function importPricesFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { added: 0, errors: ["The CSV is empty."] };
+    const columns = header.map((name) => name.trim().toLowerCase().replace(/[\s-]+/g, "_"));
+    const col = (row, name) => (row[columns.indexOf(name)] || "").trim();
+    if (!columns.includes("item") || !columns.includes("store") || !columns.includes("price")) {
+      return { added: 0, errors: ["The header must include item, store and price columns."] };
+    }
+    const errors = [];
+    let added = 0;
+    rows.forEach((row, index) => {
+      const line = index + 2;
+      const price = parseFloat(col(row, "price").replace("$", ""));
+      const size = col(row, "size") ? parseFloat(col(row, "size")) : 1;
+      const unit = UNIT_ALIASES[col(row, "unit").toLowerCase()] || (col(row, "unit") ? null : "each");
+      const observedOn = col(row, "observed_on") || toDateInputValue(new Date());
+      if (!col(row, "item") || !col(row, "store")) errors.push(`Row ${line}: item and store are required.`);
+      else if (!(price >= 0)) errors.push(`Row ${line}: "${col(row, "price")}" is not a price.`);
+      else if (!(size > 0)) errors.push(`Row ${line}: "${col(row, "size")}" is not a package size.`);
+      else if (!unit) errors.push(`Row ${line}: unknown unit "${col(row, "unit")}".`);
+      else if (Number.isNaN(Date.parse(observedOn))) errors.push(`Row ${line}: "${observedOn}" is not a date.`);
+      else {
+        addPriceRecord(col(row, "item"), { store: col(row, "store"), price, size, unit, observedOn });
+        added += 1;
+      }
+    });
+    return { added, errors };
+  }
+
+  /**
+   * Normalize a barcode: digits only, with UPC-A codes padded to EAN-13 so
+   * the same product scanned as UPC or EAN finds one catalog entry.
+   */
+  function normalizeBarcode(code) {
+    const digits = String(code || "").replace(/\D/g, "");
+    return digits.length === 12 ? `0${digits}` : digits;
+  }
+
+  /**
+   * Find the catalog entry for a scanned or typed barcode, if any.
+   */
+  function lookupProduct(code) {
+    return productCatalog[normalizeBarcode(code)] || null;
+  }
+
+  /**
+   * Map an Open Food Facts product (JSON object or CSV row as an object)
+   * to a catalog entry. Returns null when it has no usable barcode or name.
+   */
+  function productFromOpenFoodFacts(product) {
+    const barcode = normalizeBarcode(product.code || product.barcode);
+    const name = String(product.product_name || product.name || "").trim();
+    if (!barcode || !name) return null;
+    const tags = [].concat(product.categories_tags || product.categories || []).join(",").toLowerCase();
+    const match = offCategoryKeywords.find(([keyword]) => tags.includes(keyword));
+    const category = CATEGORIES.includes(product.category) ? product.category : match ? match[1] : null;
+    // "500 g", "1.5 L", "12 x 330 ml" -> amount and unit of one package
+    const quantity = /(\d+(?:[.,]\d+)?)\s*([a-zA-Z]+)\s*$/.exec(String(product.quantity || ""));
+    const unit = quantity && UNIT_ALIASES[quantity[2].toLowerCase()];
+    const shelfLife = parseInt(product.shelf_life_days || product.shelfLifeDays, 10);
+    return {
+      barcode,
+      name,
+      brand: String(product.brands || product.brand || "").split(",")[0].trim(),
+      category,
+      size: unit ? parseFloat(quantity[1].replace(",", ".")) : 1,
+      unit: unit || "each",
+      shelfLifeDays: shelfLife > 0 ? shelfLife : categoryShelfLife[category] || null,
+      source: "import",
+    };
+  }
+
+  /**
+   * Import an Open Food Facts-style dump into the catalog. Accepts a JSON
+   * array, an object with a "products" array, JSON lines (one product per
+   * line, as in the official dump) or CSV/TSV with a header row. Entries
+   * the user has edited are kept. Returns { added, skipped }. Does not save.
+   */
+  function importCatalog(text) {
+    const trimmed = text.trim();
+    let products = [];
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      try {
+        const data = JSON.parse(trimmed);
+        products = Array.isArray(data) ? data : data.products || [data];
+      } catch (err) {
+        // Not a single JSON document: treat it as JSON lines
+        products = trimmed
+          .split("\n")
+          .filter((line) => line.trim())
+          .map((line) => {
+            try {
+              return JSON.parse(line);
+            } catch (lineErr) {
+              return null;
+            }
+          });
+      }
+    } else {
+      const firstLine = trimmed.split("\n")[0];
+      const [header, ...rows] = parseCsv(trimmed, firstLine.includes("\t") ? "\t" : ",");
+      const columns = (header || []).map((name) => name.trim().toLowerCase());
+      products = rows.map((row) =>
+        Object.fromEntries(columns.map((column, i) => [column, (row[i] || "").trim()]))
+      );
+    }
+    let added = 0;
+    let skipped = 0;
+    products.forEach((product) => {
+      const entry = product && productFromOpenFoodFacts(product);
+      const existing = entry && productCatalog[entry.barcode];
+      if (!entry || (existing && existing.source === "user")) {
+        skipped += 1;
+        return;
+      }
+      productCatalog[entry.barcode] = entry;
+      added += 1;
+    });
+    return { added, skipped };
+  }
+
+  /**
+   * Learn from a purchase the user saved with a barcode: the catalog entry
+   * takes its name, category, unit and quantity (as the package size), and
+   * the shelf life implied by its expiration date. Does not save.
+   */
+  function learnProduct({ barcode: code, name, category, quantity, unit, expirationDate }) {
+    const barcode = normalizeBarcode(code);
+    if (!barcode) return;
+    const known = productCatalog[barcode] || {};
+    const shelfLife = expirationDate ? daysBetween(new Date(), parseDate(expirationDate)) : null;
+    productCatalog[barcode] = {
+      barcode,
+      name,
+      brand: known.brand || "",
+      category: category || known.category || null,
+      size: quantity || known.size || 1,
+      unit: UNITS[unit] ? unit : "each",
+      shelfLifeDays: shelfLife > 0 ? shelfLife : known.shelfLifeDays || null,
+      source: "user",
+    };
+  }
+
+  /**
+   * Expiration date for a package bought today, from the catalog's shelf
+   * life, or null when it isn't known.
+   */
+  function expirationFromShelfLife(product) {
+    if (!product || !product.shelfLifeDays) return null;
+    const expires = new Date();
+    expires.setDate(expires.getDate() + product.shelfLifeDays);
+    return toDateInputValue(expires);
+  }
+
+  /**
+   * Handle a scanned barcode for the Add Item form. When an item with that
+   * barcode is already in the inventory the user may add one package to it
+   * (as a new lot) instead of adding a duplicate; otherwise the form is
+   * pre-filled from the catalog. Returns a status message, or null when
+   * the existing item was updated.
+   */
+  function applyScannedBarcode(code, form) {
+    const barcode = normalizeBarcode(code);
+    const product = lookupProduct(barcode);
+    const existing = barcode && inventory.find((item) => item.barcode === barcode);
+    if (
+      existing &&
+      confirm(`${existing.name} is already in your inventory. Increase its quantity instead of adding a new item?`)
+    ) {
+      const added = product
+        ? convertQuantity(product.size || 1, product.unit, existing.unit, existing.name)
+        : null;
+      runCommand(`Added a package of ${existing.name}`, () =>
+        addInventoryItem({
+          name: existing.name,
+          quantity: added || 1,
+          unit: existing.unit,
+          barcode,
+          expirationDate: expirationFromShelfLife(product),
+        })
+      );
+      render();
+      return null;
+    }
+    const field = (name) => form.querySelector(`[name='${name}']`);
+    field("barcode").value = barcode || code;
+    if (!product) {
+      return `Scanned ${code}. It isn't in your catalog yet; fill in the details and it will be remembered.`;
+    }
+    field("name").value = product.name;
+    field("quantity").value = product.size || 1;
+    field("unit").value = product.unit;
+    field("category").value = product.category || "";
+    field("location").value = defaultLocation(product.category);
+    field("expirationDate").value = expirationFromShelfLife(product) || "";
+    return `Found ${product.brand ? `${product.brand} ` : ""}${product.name}.`;
+  }
+
+  /**
+   * Record a barcode read during a batch scan. Reads of the same code
+   * within BATCH_DEBOUNCE_MS of the last accepted read are ignored unless
+   * force is set (used for uploaded images, which are read once). Returns
+   * whether the read was counted.
+   */
+  function recordBatchCode(code, force) {
+    const barcode = normalizeBarcode(code);
+    if (!batchScan || !barcode) return false;
+    const now = Date.now();
+    if (!force && now - (batchScan.lastRead[barcode] || 0) < BATCH_DEBOUNCE_MS) {
+      batchScan.lastRead[barcode] = now;
+      return false;
+    }
+    batchScan.lastRead[barcode] = now;
+    if (!batchScan.counts[barcode]) batchScan.order.push(barcode);
+    batchScan.counts[barcode] = (batchScan.counts[barcode] || 0) + 1;
+    const product = lookupProduct(barcode);
+    batchScan.status = `Scanned ${product ? product.name : barcode}.`;
+    return true;
+  }
+
+  /**
+   * Build the running list of a batch scan: one row per code with its
+   * product (or a name field for unknown codes) and count controls.
+   */
+  function batchListHtml() {
+    const rows = batchScan.order
+      .map((barcode) => {
+        const product = lookupProduct(barcode);
+        const existing = inventory.find((item) => item.barcode === barcode);
+        const label = product
+          ? html`${product.name}${existing ? html` <span class="text-xs text-gray-500">(in inventory)</span>` : ""}`
+          : html`<input type="text" data-barcode="${barcode}" value="${batchScan.names[barcode] || ""}" placeholder="Name for ${barcode}" class="batch-name p-1 border rounded w-full" />`;
+        return html`
+          <li data-key="${barcode}" class="flex items-center justify-between border-b last:border-none py-1">
+            <span class="flex-1 mr-2">${label}</span>
+            <span class="whitespace-nowrap">
+              <button data-barcode="${barcode}" data-step="-1" class="batch-step px-2 border rounded">−</button>
+              <span class="px-2">${batchScan.counts[barcode]}</span>
+              <button data-barcode="${barcode}" data-step="1" class="batch-step px-2 border rounded">+</button>
+            </span>
+          </li>`;
+      });
+    return rows.length ? rows : html`<li class="text-gray-500">Nothing scanned yet</li>`;
+  }
+
+  /**
+   * Start (or restart on another camera) continuous decoding from the
+   * chosen camera into the batch scan's video element.
+   */
+  function startBatchCamera() {
+    const video = document.getElementById("batch-video");
+    if (!batchScan || !video) return;
+    try {
+      batchScan.reader = new ZXing.BrowserMultiFormatReader();
+    } catch (err) {
+      console.error("Barcode reader init failed", err);
+      batchScan.status = "Barcode scanner not supported in this browser.";
+      render("scanner");
+      return;
+    }
+    // Older ZXing builds don't return a promise here, hence Promise.resolve
+    Promise.resolve(
+      batchScan.reader.decodeFromVideoDevice(batchScan.deviceId || null, video, (result) => {
+        if (result && recordBatchCode(result.getText ? result.getText() : result.text)) {
+          render("scanner");
+        }
+      })
+    ).catch((err) => {
+      console.error(err);
+      if (!batchScan) return;
+      batchScan.status = "Camera unavailable. You can still upload photos of barcodes.";
+      render("scanner");
+    });
+  }
+
+  /**
+   * Stop the batch scan's camera, if running.
+   */
+  function stopBatchCamera() {
+    if (batchScan && batchScan.reader) {
+      batchScan.reader.reset();
+      batchScan.reader = null;
+    }
+  }
+
+  /**
+   * Add everything collected in a batch scan to the inventory at once.
+   * Each code becomes one new lot (count packages) through
+   * addInventoryItem, so codes already in the inventory join their item.
+   * Catalog products bring their package size and shelf life; unknown
+   * codes use the name typed for them and are remembered in the catalog.
+   * Returns the number of products added.
+   */
+  function commitBatch() {
+    let touched = 0;
+    batchScan.order.forEach((barcode) => {
+      const count = batchScan.counts[barcode];
+      if (!count) return;
+      const product = lookupProduct(barcode);
+      const typedName = (batchScan.names[barcode] || "").trim();
+      const purchase = {
+        name: product ? product.name : typedName || `Item ${barcode}`,
+        quantity: product ? product.size || 1 : 1,
+        unit: product ? product.unit : "each",
+        expirationDate: expirationFromShelfLife(product),
+        category: product ? product.category : null,
+        barcode,
+      };
+      addInventoryItem({ ...purchase, quantity: count * purchase.quantity });
+      if (!product && typedName) learnProduct(purchase);
+      touched += 1;
+    });
+    saveInventory();
+    saveCatalog();
+    return touched;
+  }
+
+  /**
+   * Find the inventory item a purchase belongs to: the item with the same
+   * barcode, or else one with the same canonical name whose unit the
+   * purchase can be converted to.
+   */
+  function findItemForPurchase({ name, unit, barcode }) {
+    const code = normalizeBarcode(barcode);
+    if (code) {
+      const byBarcode = inventory.find((item) => item.barcode === code);
+      if (byBarcode) return byBarcode;
+    }
+    const wanted = canonicalName(name);
+    return inventory.find(
+      (item) =>
+        canonicalName(item.name) === wanted &&
+        (!code || !item.barcode) &&
+        convertQuantity(1, unit, item.unit, name) !== null
+    );
+  }
+
+  /**
+   * Add a purchase to the inventory and persist it. This is the single
+   * path used by the Add Item form, barcode scans and checking off
+   * shopping list entries. A purchase of something already in the
+   * inventory becomes a new lot of that item; otherwise a new item is
+   * created with one lot. price is what was paid for the purchase, if
+   * known; the add event records it, or the price book's estimate, as the
+   * money spent. Returns the item.
+   */
+  function addInventoryItem({
+    name,
+    quantity,
+    unit,
+    expirationDate,
+    purchaseDate,
+    location,
+    regular,
+    category,
+    barcode,
+    price,
+  }) {
+    const lotUnit = UNITS[unit] ? unit : "each";
+    let item = findItemForPurchase({ name, unit: lotUnit, barcode });
+    if (item) {
+      item.regular = item.regular || Boolean(regular);
+      item.category = item.category || category || null;
+      item.barcode = item.barcode || normalizeBarcode(barcode) || null;
     } else {
-      authSection = `
+      item = {
+        id: generateId(),
+        name,
+        quantity: 0,
+        unit: lotUnit,
+        expirationDate: null,
+        barcode: normalizeBarcode(barcode) || null,
+        regular: Boolean(regular),
+        category: category || null,
+        lots: [],
+      };
+      inventory.push(item);
+    }
+    const added = convertQuantity(quantity, lotUnit, item.unit, name);
+    const paid = price > 0 ? roundQuantity(price) : null;
+    const unitCost = paid !== null && added > 0 ? paid / added : null;
+    addLot(item, { quantity: added, expirationDate, purchaseDate, location, unitCost });
+    saveInventory();
+    logEvent("add", item, added, null, {
+      cost: paid !== null ? paid : getPriceBookCost(item.name, added, item.unit),
+    });
+    return item;
+  }
+
+  /**
+   * Add an entry to the shopping list, merging it into an unchecked entry
+   * for the same ingredient when the units can be converted; the converted
+   * quantity is added and the source recorded. Does not save.
+   */
+  function addToShoppingList({ name, quantity, unit, source, regular, category }) {
+    const wanted = canonicalName(name);
+    for (const entry of shoppingList) {
+      if (entry.checked || canonicalName(entry.name) !== wanted) continue;
+      const converted = convertQuantity(quantity, unit, entry.unit, name);
+      if (converted === null) continue;
+      entry.quantity = roundQuantity(entry.quantity + converted);
+      if (!entry.sources.includes(source)) entry.sources.push(source);
+      entry.regular = entry.regular || Boolean(regular);
+      return entry;
+    }
+    const entry = {
+      id: generateId(),
+      name,
+      quantity: roundQuantity(quantity),
+      unit: UNITS[unit] ? unit : "each",
+      sources: [source],
+      checked: false,
+      regular: Boolean(regular),
+      category: category || null,
+    };
+    shoppingList.push(entry);
+    return entry;
+  }
+
+  /**
+   * Whether an unchecked shopping list entry already covers an item name.
+   */
+  function isOnShoppingList(name) {
+    const wanted = canonicalName(name);
+    return shoppingList.some(
+      (entry) => !entry.checked && canonicalName(entry.name) === wanted
+    );
+  }
+
+  /**
+   * Put restock items (and regular items about to expire) on the shopping
+   * list, one package each, skipping any already listed. Returns the
+   * number of entries added. Does not save.
+   */
+  function addRestockToShoppingList(items) {
+    let added = 0;
+    items.forEach(({ item, source }) => {
+      if (isOnShoppingList(item.name)) return;
+      addToShoppingList({
+        name: item.name,
+        quantity: 1,
+        unit: "each",
+        source,
+        regular: item.regular,
+        category: item.category,
+      });
+      added += 1;
+    });
+    return added;
+  }
+
+  /**
+   * Put the missing ingredients of a recipe on the shopping list. Only the
+   * shortfall is added when some of an ingredient is in stock and not
+   * reserved for a planned meal. Returns the number of ingredients listed.
+   * Does not save.
+   */
+  function addRecipeToShoppingList(recipe) {
+    const index = indexInventory();
+    const { reserved } = getReservations(index);
+    const short = recipe.ingredients
+      .map((ingredient) => checkIngredient(ingredient, index, reserved))
+      .filter((check) => !check.enough && !check.staple);
+    short.forEach(({ ingredient, item, needed, available }) => {
+      if (item && needed !== null) {
+        addToShoppingList({
+          name: ingredient.name,
+          quantity: needed - available,
+          unit: item.unit,
+          source: recipe.name,
+        });
+      } else {
+        addToShoppingList({
+          name: ingredient.name,
+          quantity: ingredient.amount,
+          unit: ingredient.unit,
+          source: recipe.name,
+        });
+      }
+    });
+    return short.length;
+  }
+
+  /**
+   * Put what the meals planned for a week are still short of on the
+   * shopping list. Returns the number of ingredients listed. Does not
+   * save.
+   */
+  function addMealPlanToShoppingList(weekStart) {
+    const needs = getWeekNeeds(weekStart);
+    needs.forEach(({ name, amount, unit }) => {
+      addToShoppingList({ name, quantity: amount, unit, source: "Meal plan" });
+    });
+    return needs.length;
+  }
+
+  /**
+   * Cook a recipe for a number of servings as one undoable command,
+   * deducting each ingredient from the inventory. What planned meals have
+   * reserved is left alone; cooking meal, a planned meal, only leaves
+   * alone what the meals ahead of it reserved, and marks it cooked.
+   * Returns the checks of the ingredients there isn't enough of, in which
+   * case nothing is cooked.
+   */
+  function cookRecipe(recipe, servings, meal = null) {
+    const index = indexInventory();
+    const { reserved } = getReservations(index, meal);
+    // Check every ingredient first so a recipe is never half cooked
+    const checks = scaleIngredients(recipe, servings).map((ingredient) =>
+      checkIngredient(ingredient, index, reserved)
+    );
+    const short = checks.filter((check) => !check.enough && !check.staple);
+    if (short.length) return short;
+    runCommand(`Cooked ${recipe.name}`, () => {
+      // Deduct the converted amount of each ingredient used; staples that
+      // aren't tracked (or are running low) are simply assumed on hand
+      checks
+        .filter((check) => check.enough)
+        .forEach(({ item, needed }) => {
+          logEvent("cook", item, consumeFromItem(item, needed), recipe.name);
+        });
+      saveInventory();
+      const depleted = checks
+        .filter(({ item, enough }) => enough && item.regular && item.quantity <= 0)
+        .map(({ item }) => ({ item, source: "restock" }));
+      if (depleted.length) {
+        addRestockToShoppingList(depleted);
+        saveShoppingList();
+      }
+      if (meal) {
+        meal.cooked = true;
+        saveMealPlan();
+      }
+    });
+    return short;
+  }
+
+  /**
+   * Format the shopping list for sharing, either as plain text or as a
+   * Markdown task list. Checked entries are included and marked done.
+   */
+  function formatShoppingList(format) {
+    const lines = shoppingList.map((entry) => {
+      const store = getCheapestStoreFor(entry.name);
+      const text = `${formatIngredient({ name: entry.name, amount: entry.quantity, unit: entry.unit })}${
+        store ? ` (${store.store}, $${store.price.toFixed(2)})` : ""
+      }`;
+      if (format === "markdown") return `- [${entry.checked ? "x" : " "}] ${text}`;
+      return `${entry.checked ? "[x]" : "[ ]"} ${text}`;
+    });
+    const title = format === "markdown" ? "# Shopping List" : "Shopping List";
+    return `${title}\n\n${lines.join("\n") || "(empty)"}\n`;
+  }
+
+  /**
+   * The meals planned for the week starting on weekStart as an iCalendar
+   * document: one all-day event per meal, listing its scaled ingredients.
+   * Lines are folded at 75 bytes as RFC 5545 requires.
+   */
+  function mealPlanToIcs(weekStart) {
+    const text = (value) => String(value).replace(/[\\;,]/g, "\\$&").replace(/\n/g, "\\n");
+    const day = (date) => date.replace(/-/g, "");
+    const encoder = new TextEncoder();
+    const fold = (line) => {
+      let folded = "";
+      let bytes = 0;
+      for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (bytes + size > 75) {
+          folded += "\r\n ";
+          bytes = 1;
+        }
+        folded += char;
+        bytes += size;
+      }
+      return folded;
+    };
+    const stamp = `${new Date().toISOString().replace(/[-:]/g, "").split(".")[0]}Z`;
+    const events = getWeekMeals(weekStart).flatMap(({ meal, recipe }) => [
+      "BEGIN:VEVENT",
+      `UID:${meal.id}@smart-pantry`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${day(meal.date)}`,
+      `DTEND;VALUE=DATE:${day(addDays(meal.date, 1))}`,
+      `SUMMARY:${text(`${recipe.name} (${meal.servings} serving${meal.servings === 1 ? "" : "s"})`)}`,
+      `DESCRIPTION:${text(scaleIngredients(recipe, meal.servings).map(formatIngredient).join("\n"))}`,
+      "END:VEVENT",
+    ]);
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Smart Pantry//Meal Plan//EN",
+      "CALSCALE:GREGORIAN",
+      ...events,
+      "END:VCALENDAR",
+    ];
+    return `${lines.map(fold).join("\r\n")}\r\n`;
+  }
+
+  /**
+   * Offer text content to the user as a file download.
+   */
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Everything worth keeping in a backup, as a versioned JSON document.
+   * Settings that belong to this device (sync, notifications) are left
+   * out.
+   */
+  function buildBackup() {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      inventory,
+      recipes,
+      priceData,
+      history,
+      ingredientAliases,
+      pantryStaples,
+      shoppingList,
+      mealPlan,
+      dietProfiles,
+    };
+  }
+
+  // Leading characters that make a spreadsheet read a cell as a formula
+  const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+  /**
+   * Quote a CSV field when it contains a delimiter, quote or newline. Text
+   * a spreadsheet would run as a formula (e.g. an item named
+   * "=HYPERLINK(...)") is prefixed with ' so it stays text; see
+   * csvCellText for the way back.
+   */
+  function csvField(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (CSV_FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Text of an imported CSV cell, without the ' csvField puts before text
+   * that looks like a formula.
+   */
+  function csvCellText(cell) {
+    const text = (cell || "").trim();
+    return text.startsWith("'") && CSV_FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+  }
+
+  /**
+   * The inventory as CSV with one row per lot, so a spreadsheet round trip
+   * keeps every lot's location, dates and cost. Rows of the same item share
+   * its id; items with nothing left get one row with quantity 0.
+   */
+  function inventoryToCsv() {
+    const rows = [INVENTORY_CSV_COLUMNS];
+    inventory.forEach((item) => {
+      const lots = item.lots.length ? lotsInUseOrder(item) : [{ quantity: 0 }];
+      lots.forEach((lot) => {
+        rows.push([
+          item.id,
+          item.name,
+          lot.quantity,
+          item.unit,
+          item.category || "",
+          lot.location || "",
+          lot.purchaseDate || "",
+          lot.expirationDate || "",
+          item.barcode || "",
+          item.regular ? "yes" : "no",
+          Number.isFinite(lot.unitCost) ? lot.unitCost : "",
+        ]);
+      });
+    });
+    return `${rows.map((row) => row.map(csvField).join(",")).join("\n")}\n`;
+  }
+
+  /**
+   * Read an imported date as YYYY-MM-DD. Spreadsheets often rewrite dates
+   * in the local format, so anything Date can parse is accepted. Returns
+   * null for an empty value and undefined when it isn't a date.
+   */
+  function importedDate(value) {
+    const text = String(value || "").trim();
+    if (!text) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? undefined : toDateInputValue(new Date(parsed));
+  }
+
+  /**
+   * Turn the fields of one imported item or lot (strings from a CSV row or
+   * values from a backup) into an item and lot. Returns { item, lot } or
+   * { error } describing the first thing wrong with it.
+   */
+  function importedItemFields(fields) {
+    const name = String(fields.name || "").trim();
+    const unitText = String(fields.unit || "each").trim();
+    const unit = UNITS[unitText] ? unitText : UNIT_ALIASES[unitText.toLowerCase()];
+    const category = String(fields.category || "").trim().toLowerCase() || null;
+    const location = String(fields.location || "").trim().toLowerCase();
+    const quantityText = String(fields.quantity === undefined ? "" : fields.quantity).trim();
+    const quantity = Number(quantityText);
+    const purchaseDate = importedDate(fields.purchaseDate);
+    const expirationDate = importedDate(fields.expirationDate);
+    const unitCostText = String(fields.unitCost === undefined || fields.unitCost === null ? "" : fields.unitCost)
+      .replace("$", "")
+      .trim();
+    const unitCost = unitCostText ? Number(unitCostText) : null;
+    if (!name) return { error: "name is required" };
+    if (!quantityText || !(quantity >= 0)) return { error: `"${quantityText}" is not a quantity` };
+    if (!unit) return { error: `unknown unit "${unitText}"` };
+    if (category && !CATEGORIES.includes(category)) return { error: `unknown category "${category}"` };
+    if (location && !LOCATIONS.includes(location)) return { error: `unknown location "${location}"` };
+    if (purchaseDate === undefined) return { error: `"${fields.purchaseDate}" is not a purchase date` };
+    if (expirationDate === undefined) return { error: `"${fields.expirationDate}" is not an expiration date` };
+    if (unitCost !== null && !(Number.isFinite(unitCost) && unitCost >= 0)) {
+      return { error: `"${unitCostText}" is not a unit cost` };
+    }
+    const regular = fields.regular;
+    return {
+      item: {
+        id: String(fields.id || "").trim() || null,
+        name,
+        unit,
+        category,
+        barcode: normalizeBarcode(fields.barcode) || null,
+        regular: regular === true || /^(yes|y|true|1|x)$/i.test(String(regular || "").trim()),
+      },
+      lot: {
+        id: String(fields.lotId || "").trim() || null,
+        quantity: roundQuantity(quantity),
+        purchaseDate,
+        expirationDate,
+        location: location || defaultLocation(category),
+        unitCost,
+      },
+    };
+  }
+
+  /**
+   * Check one price record from a backup. Returns { record } in the shape
+   * the price book keeps, or { error } describing what is wrong with it.
+   */
+  function importedPriceRecord(record) {
+    if (!record || typeof record !== "object") return { error: "not a price record" };
+    const { store, price, size, unit, observedOn } = record;
+    if (typeof store !== "string" || !store.trim()) return { error: "store is required" };
+    if (!(Number.isFinite(price) && price >= 0)) return { error: `"${price}" is not a price` };
+    if (size !== undefined && size !== null && !(Number.isFinite(size) && size > 0)) {
+      return { error: `"${size}" is not a package size` };
+    }
+    if (unit !== undefined && unit !== null && !(typeof unit === "string" && UNITS[unit])) {
+      return { error: `unknown unit "${unit}"` };
+    }
+    return {
+      record: {
+        store: store.trim(),
+        price,
+        size: size || 1,
+        unit: unit || "each",
+        observedOn: typeof observedOn === "string" ? observedOn : null,
+      },
+    };
+  }
+
+  /**
+   * Check one shopping list entry from a backup. Returns { entry } or
+   * { error } describing what is wrong with it.
+   */
+  function importedShoppingEntry(entry) {
+    if (!entry || typeof entry !== "object") return { error: "not a shopping list entry" };
+    const { id, name, quantity, unit, sources, category } = entry;
+    if (typeof id !== "string" || !id) return { error: "id is required" };
+    if (typeof name !== "string" || !name.trim()) return { error: "name is required" };
+    if (!(Number.isFinite(quantity) && quantity >= 0)) return { error: `"${quantity}" is not a quantity` };
+    if (!Array.isArray(sources)) return { error: "sources must be a list" };
+    return {
+      entry: {
+        id,
+        name: name.trim(),
+        quantity,
+        unit: UNITS[unit] ? unit : "each",
+        sources: sources.map(String),
+        checked: entry.checked === true,
+        regular: entry.regular === true,
+        category: CATEGORIES.includes(category) ? category : null,
+      },
+    };
+  }
+
+  /**
+   * Check one history event from a backup. Returns { event }, with events
+   * saved without a unit counted in pieces, or { error } describing what
+   * is wrong with it.
+   */
+  function importedHistoryEvent(event) {
+    if (!event || typeof event !== "object") return { error: "not a history event" };
+    const { id, type, at, name, quantity, unit } = event;
+    if (typeof id !== "string" || !id) return { error: "id is required" };
+    if (typeof type !== "string" || !type) return { error: "type is required" };
+    if (typeof at !== "string" || Number.isNaN(Date.parse(at))) return { error: `"${at}" is not a time` };
+    if (typeof name !== "string" || !name.trim()) return { error: "name is required" };
+    if (!Number.isFinite(quantity)) return { error: `"${quantity}" is not a quantity` };
+    if (unit !== undefined && unit !== null && !(typeof unit === "string" && UNITS[unit])) {
+      return { error: `unknown unit "${unit}"` };
+    }
+    return { event: { ...event, name: name.trim(), unit: unit || "each" } };
+  }
+
+  /**
+   * Check one planned meal from a backup against the recipes it may use.
+   * A meal without a whole, positive number of servings is planned for
+   * its recipe's servings. Returns { meal } or { error } describing what
+   * is wrong with it.
+   */
+  function importedMeal(meal, recipeList) {
+    if (!meal || typeof meal !== "object") return { error: "not a planned meal" };
+    const { id, recipeId, date, servings } = meal;
+    if (typeof id !== "string" || !id) return { error: "id is required" };
+    if (typeof recipeId !== "string" || !recipeId) return { error: "recipe is required" };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { error: `"${date}" is not a date` };
+    if (Number.isInteger(servings) && servings >= 1) return { meal };
+    const recipe = recipeList.find((r) => r.id === recipeId);
+    if (!recipe) return { error: `"${servings}" is not a number of servings` };
+    return { meal: { ...meal, servings: recipe.servings } };
+  }
+
+  /**
+   * Parse an inventory CSV (as written by inventoryToCsv, or any sheet with
+   * at least name and quantity columns). Rows with the same id, or the same
+   * name and unit when there is no id column, become lots of one item.
+   * Returns { items, errors } where errors name the spreadsheet row.
+   */
+  function parseInventoryCsv(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+    if (!header) return { items: [], errors: ["The CSV is empty."] };
+    const columns = header.map((name) => name.trim().toLowerCase().replace(/[\s-]+/g, "_"));
+    if (!columns.includes("name") || !columns.includes("quantity")) {
+      return { items: [], errors: ["The header must include name and quantity columns."] };
+    }
+    const col = (row, name) => (columns.includes(name) ? csvCellText(row[columns.indexOf(name)]) : "");
+    const items = [];
+    const errors = [];
+    const byKey = {};
+    rows.forEach((row, index) => {
+      const line = index + 2;
+      const parsed = importedItemFields({
+        id: col(row, "id"),
+        name: col(row, "name"),
+        quantity: col(row, "quantity"),
+        unit: col(row, "unit"),
+        category: col(row, "category"),
+        location: col(row, "location"),
+        purchaseDate: col(row, "purchase_date"),
+        expirationDate: col(row, "expiration_date"),
+        barcode: col(row, "barcode"),
+        regular: col(row, "regular"),
+        unitCost: col(row, "unit_cost"),
+      });
+      if (parsed.error) {
+        errors.push(`Row ${line}: ${parsed.error}.`);
+        return;
+      }
+      const key = parsed.item.id || `${canonicalName(parsed.item.name)}|${parsed.item.unit}`;
+      if (!byKey[key]) {
+        byKey[key] = { ...parsed.item, lots: [] };
+        items.push(byKey[key]);
+      }
+      if (parsed.lot.quantity > 0) byKey[key].lots.push(parsed.lot);
+    });
+    return { items, errors };
+  }
+
+  /**
+   * Parse a JSON backup. Items are checked like CSV rows; recipes are
+   * normalized, and prices, shopping list entries, aliases, history and
+   * planned meals are checked row by row, with an error for each one
+   * skipped. Returns
+   * { items, errors, data } where data holds the other collections found,
+   * or { items: [], errors } when the file isn't a backup this version
+   * can read.
+   */
+  function parseBackup(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (err) {
+      return { items: [], errors: ["The file isn't valid JSON."] };
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+      return { items: [], errors: ["The file isn't a Smart Pantry backup."] };
+    }
+    if (!(backup.version <= BACKUP_VERSION)) {
+      return { items: [], errors: ["The backup was made by a newer version of Smart Pantry."] };
+    }
+    const items = [];
+    const errors = [];
+    (Array.isArray(backup.inventory) ? backup.inventory : []).forEach((stored, index) => {
+      const label = `Item ${index + 1}${stored && stored.name ? ` (${stored.name})` : ""}`;
+      if (!stored || typeof stored !== "object") {
+        errors.push(`${label}: not an item.`);
+        return;
+      }
+      // Items saved before lots existed hold their quantity directly
+      const lots = Array.isArray(stored.lots)
+        ? stored.lots
+        : [{ quantity: stored.quantity, expirationDate: stored.expirationDate }];
+      let item = null;
+      const problems = [];
+      lots.forEach((lot) => {
+        const parsed = importedItemFields({ ...stored, ...lot, id: stored.id, lotId: lot && lot.id });
+        if (parsed.error) problems.push(parsed.error);
+        else {
+          item = item || { ...parsed.item, lots: [] };
+          if (parsed.lot.quantity > 0) item.lots.push(parsed.lot);
+        }
+      });
+      if (!lots.length) {
+        const parsed = importedItemFields({ ...stored, quantity: 0 });
+        if (parsed.error) problems.push(parsed.error);
+        else item = { ...parsed.item, lots: [] };
+      }
+      if (problems.length) errors.push(`${label}: ${problems[0]}.`);
+      else items.push(item);
+    });
+    const data = {};
+    const isMap = (value) => value && typeof value === "object" && !Array.isArray(value);
+    if (Array.isArray(backup.recipes)) {
+      data.recipes = [];
+      backup.recipes.forEach((recipe, index) => {
+        if (!recipe || typeof recipe !== "object" || !Array.isArray(recipe.ingredients)) {
+          errors.push(`Recipe ${index + 1}: ingredients are missing.`);
+          return;
+        }
+        data.recipes.push(normalizeRecipe(recipe));
+      });
+    }
+    if (isMap(backup.priceData)) {
+      data.priceData = {};
+      Object.entries(backup.priceData).forEach(([name, records]) => {
+        if (!Array.isArray(records)) {
+          errors.push(`Prices for ${name}: not a list of prices.`);
+          return;
+        }
+        records.forEach((stored, index) => {
+          const parsed = importedPriceRecord(stored);
+          if (parsed.error) errors.push(`Price ${index + 1} for ${name}: ${parsed.error}.`);
+          else (data.priceData[name] = data.priceData[name] || []).push(parsed.record);
+        });
+      });
+    }
+    if (Array.isArray(backup.history)) {
+      data.history = [];
+      backup.history.forEach((stored, index) => {
+        const parsed = importedHistoryEvent(stored);
+        if (parsed.error) errors.push(`History event ${index + 1}: ${parsed.error}.`);
+        else data.history.push(parsed.event);
+      });
+    }
+    if (isMap(backup.ingredientAliases)) {
+      data.ingredientAliases = {};
+      Object.entries(backup.ingredientAliases).forEach(([alias, canonical]) => {
+        if (typeof canonical === "string" && canonical.trim()) data.ingredientAliases[alias] = canonical;
+        else errors.push(`Alias "${alias}": not an ingredient name.`);
+      });
+    }
+    if (Array.isArray(backup.pantryStaples)) data.pantryStaples = backup.pantryStaples.map(String);
+    if (Array.isArray(backup.shoppingList)) {
+      data.shoppingList = [];
+      backup.shoppingList.forEach((stored, index) => {
+        const label = `Shopping list entry ${index + 1}${stored && stored.name ? ` (${stored.name})` : ""}`;
+        const parsed = importedShoppingEntry(stored);
+        if (parsed.error) errors.push(`${label}: ${parsed.error}.`);
+        else data.shoppingList.push(parsed.entry);
+      });
+    }
+    if (Array.isArray(backup.mealPlan)) {
+      // Meals may use a recipe from the backup or one already saved here
+      const recipeList = (data.recipes || []).concat(recipes);
+      data.mealPlan = [];
+      backup.mealPlan.forEach((stored, index) => {
+        const parsed = importedMeal(stored, recipeList);
+        if (parsed.error) errors.push(`Planned meal ${index + 1}: ${parsed.error}.`);
+        else data.mealPlan.push(parsed.meal);
+      });
+    }
+    if (Array.isArray(backup.dietProfiles)) {
+      data.dietProfiles = backup.dietProfiles
+        .filter((profile) => profile && profile.id && profile.name && Array.isArray(profile.diets))
+        .map((profile) => ({ ...profile, diets: profile.diets.filter((diet) => diet in DIETS) }));
+    }
+    return { items, errors, data };
+  }
+
+  /**
+   * Parse an import file: a JSON backup or an inventory CSV. Returns
+   * { kind, items, errors, data }.
+   */
+  function parseImport(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      return { kind: "backup", data: {}, ...parseBackup(trimmed) };
+    }
+    return { kind: "csv", data: {}, ...parseInventoryCsv(text) };
+  }
+
+  /**
+   * Work out what an import would do to the inventory. Merging matches
+   * each imported item with an existing one by barcode, then by name (as
+   * a purchase would) and updates it; anything unmatched is added.
+   * Replacing drops the current inventory. Returns [{ item, existing }]
+   * where existing is the item to update, if any.
+   */
+  function planImport(items, mode) {
+    return items.map((item) => ({
+      item,
+      existing: mode === "merge" ? findItemForPurchase(item) : null,
+    }));
+  }
+
+  /**
+   * Apply a parsed import. An updated item takes the imported fields and
+   * lots; everything else in a backup is merged (recipes by id or name,
+   * history and shopping entries by id, prices by record) or, when
+   * replacing, takes the place of what is there. Imports don't add to the
+   * history: a backup brings its own. Saves everything it changes.
+   */
+  function applyImport(parsed, mode) {
+    const usedIds = new Set(mode === "merge" ? inventory.map((item) => item.id) : []);
+    const usedLotIds = new Set();
+    const freshId = (id, used) => {
+      const unique = id && !used.has(id) ? id : generateId();
+      used.add(unique);
+      return unique;
+    };
+    if (mode === "merge") inventory.forEach((item) => item.lots.forEach((lot) => usedLotIds.add(lot.id)));
+    const plan = planImport(parsed.items, mode);
+    if (mode === "replace") inventory = [];
+    plan.forEach(({ item, existing }) => {
+      const target = existing || { id: freshId(item.id, usedIds) };
+      if (existing) existing.lots.forEach((lot) => usedLotIds.delete(lot.id));
+      Object.assign(target, {
+        name: item.name,
+        unit: item.unit,
+        category: item.category,
+        barcode: item.barcode,
+        regular: item.regular,
+        lots: item.lots.map((lot) => ({ ...lot, id: freshId(lot.id, usedLotIds) })),
+      });
+      syncItemTotals(target);
+      if (!existing) inventory.push(target);
+    });
+    saveInventory();
+
+    const { data } = parsed;
+    const byId = (current, incoming) => {
+      const ids = new Set(current.map((entry) => entry.id));
+      return current.concat(incoming.filter((entry) => !ids.has(entry.id)));
+    };
+    if (data.recipes) {
+      if (mode === "replace") recipes = data.recipes;
+      else {
+        data.recipes.forEach((recipe) => {
+          const index = recipes.findIndex(
+            (r) => r.id === recipe.id || canonicalName(r.name) === canonicalName(recipe.name)
+          );
+          if (index >= 0) recipes[index] = { ...recipe, id: recipes[index].id };
+          else recipes.push(recipe);
+        });
+      }
+      saveRecipes();
+    }
+    if (data.priceData) {
+      if (mode === "replace") priceData = data.priceData;
+      else {
+        Object.entries(data.priceData).forEach(([name, records]) => {
+          if (!Array.isArray(records)) return;
+          const known = new Set((findByCanonicalName(priceData, name) || []).map((r) => JSON.stringify(r)));
+          records.filter((r) => !known.has(JSON.stringify(r))).forEach((r) => addPriceRecord(name, r));
+        });
+      }
+      savePrices();
+    }
+    if (data.history) {
+      const merged = mode === "replace" ? data.history : byId(history, data.history);
+      history = merged.sort((a, b) => a.at.localeCompare(b.at)).slice(-HISTORY_LIMIT);
+      saveHistory();
+    }
+    if (data.ingredientAliases) {
+      ingredientAliases =
+        mode === "replace" ? data.ingredientAliases : { ...ingredientAliases, ...data.ingredientAliases };
+      saveAliases();
+    }
+    if (data.pantryStaples) {
+      pantryStaples =
+        mode === "replace" ? data.pantryStaples : [...new Set(pantryStaples.concat(data.pantryStaples))];
+      saveStaples();
+    }
+    if (data.shoppingList) {
+      shoppingList = mode === "replace" ? data.shoppingList : byId(shoppingList, data.shoppingList);
+      saveShoppingList();
+    }
+    if (data.mealPlan) {
+      mealPlan = mode === "replace" ? data.mealPlan : byId(mealPlan, data.mealPlan);
+      saveMealPlan();
+    }
+    if (data.dietProfiles) {
+      dietProfiles = mode === "replace" ? data.dietProfiles : byId(dietProfiles, data.dietProfiles);
+      saveDietProfiles();
+    }
+    return plan;
+  }
+
+  /**
+   * Send the service worker what it needs to schedule notifications:
+   * every dated lot, the current restock items and the settings. The
+   * worker works out what is due itself, so the snapshot stays valid
+   * while the app is closed.
+   */
+  function syncReminderSchedule() {
+    if (!swRegistration || !swRegistration.active) return;
+    const lots = inventory.flatMap((item) =>
+      item.lots
+        .filter((lot) => lot.expirationDate)
+        .map((lot) => ({
+          itemId: item.id,
+          lotId: lot.id,
+          name: item.name,
+          category: getItemCategory(item),
+          quantity: formatQuantity(lot.quantity, item.unit),
+          location: lot.location,
+          expirationDate: lot.expirationDate,
+        }))
+    );
+    const restock = getRestockItems().map((item) => {
+      const forecast = item.quantity > 0 && getRunOutForecast(item);
+      return {
+        itemId: item.id,
+        name: item.name,
+        reason: forecast
+          ? `Runs out in about ${forecast.daysLeft} day${forecast.daysLeft === 1 ? "" : "s"}`
+          : "All used up",
+      };
+    });
+    swRegistration.active.postMessage({
+      type: "schedule",
+      schedule: { settings: notificationSettings, lots, restock },
+    });
+  }
+
+  /**
+   * Register the service worker that schedules notifications, listen for
+   * notification actions it passes back, and keep it checking while the
+   * app is open. Does nothing in browsers without service workers.
+   */
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      if (event.data && event.data.type === "notification-action") {
+        applyNotificationAction(event.data);
+      }
+    });
+    navigator.serviceWorker
+      .register("sw.js")
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => {
+        swRegistration = registration;
+        // Collect actions taken on notifications while the app was closed
+        registration.active.postMessage({ type: "hello" });
+        syncReminderSchedule();
+        if (notificationSettings.enabled) registerPeriodicCheck();
+        setInterval(() => {
+          if (swRegistration.active) swRegistration.active.postMessage({ type: "check" });
+        }, REMINDER_CHECK_MS);
+      })
+      .catch((err) => console.warn("Unable to register service worker", err));
+  }
+
+  /**
+   * Ask the browser to wake the service worker about hourly to check
+   * reminders. Only some browsers (and often only installed apps) allow
+   * this, so failures are ignored.
+   */
+  function registerPeriodicCheck() {
+    if (!swRegistration || !swRegistration.periodicSync) return;
+    swRegistration.periodicSync
+      .register(REMINDER_SYNC_TAG, { minInterval: 1000 * 60 * 60 })
+      .catch((err) => console.warn("Periodic reminder checks unavailable", err));
+  }
+
+  /**
+   * Turn notifications on, asking for permission first. Resolves to
+   * whether notifications are now enabled.
+   */
+  async function enableNotifications() {
+    if (!("Notification" in window) || !swRegistration) {
+      alert("Notifications aren't supported in this browser.");
+      return false;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      alert("Notifications are blocked. Allow them for this site in your browser settings.");
+      return false;
+    }
+    notificationSettings.enabled = true;
+    saveNotificationSettings();
+    registerPeriodicCheck();
+    return true;
+  }
+
+  /**
+   * Apply a "used it" or "tossed it" notification action: the lot is
+   * removed and logged as used or thrown out. Lots already gone (used up
+   * in the app since the notification) are ignored.
+   */
+  function applyNotificationAction({ action, itemId, lotId }) {
+    const item = inventory.find((itm) => itm.id === itemId);
+    const lot = item && item.lots.find((l) => l.id === lotId);
+    if (!lot) return;
+    runCommand(`${action === "used" ? "Used" : "Tossed"} ${item.name} (from a notification)`, () => {
+      item.lots = item.lots.filter((l) => l !== lot);
+      syncItemTotals(item);
+      if (action === "used") logEvent("use", item, lot.quantity);
+      else {
+        const cost = getLotCost(item, lot, lot.quantity);
+        logEvent("discard", item, lot.quantity, null, { reason: "expired", cost });
+      }
+      if (item.regular && item.quantity <= 0) {
+        addRestockToShoppingList([{ item, source: "restock" }]);
+        saveShoppingList();
+      }
+      saveInventory();
+    });
+    render();
+  }
+
+  /**
+   * The synced part of the app's data as flat record collections: items
+   * (without the totals derived from their lots), lots with the id of
+   * their item, and the shopping list.
+   */
+  function toSyncSnapshot() {
+    return {
+      items: inventory.map(({ id, name, unit, barcode, regular, category }) => ({
+        id,
+        name,
+        unit,
+        barcode: barcode || null,
+        regular: !!regular,
+        category: category || null,
+      })),
+      lots: inventory.flatMap((item) => item.lots.map((lot) => ({ ...lot, itemId: item.id }))),
+      shopping: shoppingList.map((entry) => ({ ...entry })),
+    };
+  }
+
+  /**
+   * The synced data of every item (with its lots) and shopping list
+   * entry as JSON, keyed by id. Fields are sorted, as merged data doesn't
+   * come back in the order the app wrote it.
+   */
+  function syncedVersions() {
+    const sortedJson = (value) =>
+      JSON.stringify(value, (key, field) =>
+        field && typeof field === "object" && !Array.isArray(field)
+          ? Object.fromEntries(Object.keys(field).sort().map((name) => [name, field[name]]))
+          : field
+      );
+    const { items, lots, shopping } = toSyncSnapshot();
+    const versions = new Map();
+    items.forEach((item) => {
+      versions.set(item.id, sortedJson({ ...item, lots: lots.filter((lot) => lot.itemId === item.id) }));
+    });
+    shopping.forEach((entry) => versions.set(entry.id, sortedJson(entry)));
+    return versions;
+  }
+
+  /**
+   * Replace the inventory and shopping list with the household's merged
+   * data from the sync engine. Undo and redo steps that would write over
+   * what it changed are dropped (see dropStaleCommands).
+   */
+  function applySyncSnapshot({ items, lots, shopping }) {
+    const before = syncedVersions();
+    inventory = items.map((item) =>
+      syncItemTotals({
+        ...item,
+        lots: lots.filter((lot) => lot.itemId === item.id).map(({ itemId, ...lot }) => lot),
+      })
+    );
+    shoppingList = shopping;
+    const after = syncedVersions();
+    const ids = new Set([...before.keys(), ...after.keys()]);
+    dropStaleCommands(new Set([...ids].filter((id) => before.get(id) !== after.get(id))));
+    saveInventory();
+    saveShoppingList();
+  }
+
+  /**
+   * Start (or stop) syncing for the signed-in user's household. Sync needs
+   * both a signed-in user, who is recorded on every change, and a
+   * household to share.
+   */
+  function startSync() {
+    syncEngine = null;
+    syncStatus = "";
+    if (!user || !syncSettings.householdId) return;
+    const adapter =
+      syncSettings.server === "rest" && syncSettings.serverUrl
+        ? PantrySync.restAdapter(syncSettings.serverUrl, { getToken: PantryAuth.getToken })
+        : PantrySync.restAdapter("http://sync.test", { fetch: testSyncServer.fetch });
+    syncEngine = PantrySync.createEngine({
+      adapter,
+      householdId: syncSettings.householdId,
+      deviceId: syncSettings.deviceId,
+      author: { id: user.sub, name: user.name || user.email },
+      counters: { lots: ["quantity"] },
+      state: PantryStore.get(userKey("syncState")),
+      onStateChange: (state) => PantryStore.set(userKey("syncState"), state),
+    });
+    runSync();
+  }
+
+  /**
+   * Record local changes, push them and pull the household's, then
+   * re-render the household panel and whatever someone else changed.
+   */
+  async function runSync() {
+    const engine = syncEngine;
+    if (!engine) return;
+    let pulled = 0;
+    // The server needs a current ID token; try to renew an expired one
+    if (syncSettings.server === "rest" && !PantryAuth.getToken()) {
+      PantryAuth.refreshToken(handleCredentialResponse);
+    }
+    try {
+      engine.record(toSyncSnapshot());
+      ({ pulled } = await engine.sync());
+      if (engine !== syncEngine) return;
+      syncStatus = `Last synced at ${new Date().toLocaleTimeString()}`;
+    } catch (err) {
+      console.warn("Sync failed", err);
+      syncStatus =
+        navigator.onLine === false
+          ? "Offline. Changes will sync when you reconnect."
+          : `Sync failed: ${err.message}`;
+    }
+    if (pulled) {
+      // Catch edits made while the sync was in flight before replacing
+      // the inventory with the merged data
+      engine.record(toSyncSnapshot());
+      applySyncSnapshot(engine.snapshot(["items", "lots", "shopping"]));
+    }
+    render("sync");
+  }
+
+  /**
+   * Sync shortly after a local change, batching a burst of edits.
+   */
+  function scheduleSync() {
+    if (!syncEngine) return;
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(runSync, SYNC_DEBOUNCE_MS);
+  }
+
+  /**
+   * Join a household (or start one with a new code). The local pantry is
+   * merged into the household's on the first sync.
+   */
+  function joinHousehold(householdId) {
+    syncSettings = { ...syncSettings, householdId };
+    PantryStore.set(userKey("syncSettings"), syncSettings);
+    PantryStore.remove(userKey("syncState"));
+    startSync();
+  }
+
+  // Characters that can end a text node or a quoted attribute value, and
+  // what they are written as
+  const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+  // Marks markup built by the html tag (see html)
+  const SAFE_HTML = Symbol("safeHtml");
+
+  /**
+   * Escape text for use in HTML, between tags or in a quoted attribute
+   * value.
+   */
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Template tag every piece of the UI is built with. Interpolated values
+   * are escaped as text, so item names, barcodes, recipes and profile
+   * details from anywhere (imports, scans, sync, Google) can't inject
+   * markup; only markup built by html itself is kept as is, and arrays of
+   * it (as from map) are joined. Returns an object whose toString gives
+   * the HTML.
+   */
+  function html(strings, ...values) {
+    const value = (v) => {
+      if (Array.isArray(v)) return v.map(value).join("");
+      if (v && v[SAFE_HTML]) return String(v);
+      return escapeHtml(v);
+    };
+    const markup = strings.reduce((out, string, i) => out + value(values[i - 1]) + string);
+    return { [SAFE_HTML]: true, toString: () => markup };
+  }
+
+  /**
+   * Build the recipe detail view shown by the View button: ingredients with
+   * their availability, numbered steps and edit/delete actions.
+   */
+  function recipeDetailHtml(recipe) {
+    const facts = [
+      `Serves ${recipe.servings}`,
+      recipe.prepTime ? `${recipe.prepTime} min` : "",
+      recipe.tags.join(", "),
+    ].filter(Boolean);
+    const index = indexInventory();
+    const { reserved } = getReservations(index);
+    const ingredientItems = recipe.ingredients
+      .map((ingredient) => {
+        const { item, enough, staple } = checkIngredient(ingredient, index, reserved);
+        let status = html`<span class="text-red-600">missing</span>`;
+        if (enough) status = html`<span class="text-green-600">✓ ${item.name}</span>`;
+        else if (staple) status = html`<span class="text-gray-500">always have</span>`;
+        return html`<li>${formatIngredient(ingredient)} — ${status}</li>`;
+      });
+    const stepItems = recipe.steps.map((step) => html`<li class="mb-1">${step}</li>`);
+    const nutrition = getRecipeNutrition(recipe);
+    const warnings = getRecipeWarnings(recipe);
+    return html`
+      <div class="flex justify-between items-start mb-1">
+        <h2 class="text-xl font-semibold">${recipe.name}</h2>
+        <button class="close-dialog-button text-gray-600 hover:underline">Close</button>
+      </div>
+      <p class="text-sm text-gray-500">${facts.join(" · ")}</p>
+      <p class="text-sm mt-2">
+        Per serving: ${nutrition.calories} kcal · ${nutrition.protein} g protein · ${nutrition.carbs} g carbs ·
+        ${nutrition.fat} g fat
+      </p>
+      ${nutrition.contains.length ? html`<p class="text-sm">Contains ${nutrition.contains.join(", ")}</p>` : ""}
+      ${
+        nutrition.unknown.length
+          ? html`<p class="text-xs text-gray-500">No nutrition data for ${nutrition.unknown.join(", ")}</p>`
+          : ""
+      }
+      ${
+        warnings.length
+          ? html`<ul class="text-sm text-yellow-800 mt-1">${warnings.map(
+              (warning) => html`<li>⚠ ${formatDietWarning(warning)}</li>`
+            )}</ul>`
+          : ""
+      }
+      <h3 class="font-medium mt-3">Ingredients</h3>
+      <ul class="list-disc list-inside text-sm">${ingredientItems.length ? ingredientItems : html`<li>None</li>`}</ul>
+      <h3 class="font-medium mt-3">Steps</h3>
+      <ol class="list-decimal list-inside text-sm">${stepItems.length ? stepItems : html`<li>None</li>`}</ol>
+      <div class="mt-4 flex space-x-3">
+        <button data-id="${recipe.id}" class="list-recipe-button bg-green-600 text-white px-4 py-1 rounded">Add missing to list</button>
+        <button data-id="${recipe.id}" class="edit-recipe-button bg-blue-600 text-white px-4 py-1 rounded">Edit</button>
+        <button data-id="${recipe.id}" class="delete-recipe-button bg-red-600 text-white px-4 py-1 rounded">Delete</button>
+      </div>`;
+  }
+
+  /**
+   * Build the create/edit recipe form. Ingredients and steps are edited as
+   * one entry per line; ingredient lines are parsed with
+   * parseIngredientLine when the form is saved.
+   */
+  function recipeEditorHtml(draft, message) {
+    return html`
+      <div class="flex justify-between items-start mb-2">
+        <h2 class="text-xl font-semibold">${recipeDialog.recipeId ? "Edit Recipe" : "New Recipe"}</h2>
+        <button class="close-dialog-button text-gray-600 hover:underline">Cancel</button>
+      </div>
+      ${message ? html`<p class="text-sm text-blue-600 mb-2">${message}</p>` : ""}
+      <form id="recipe-form" class="space-y-2">
+        <div>
+          <label class="block text-sm font-medium">Name</label>
+          <input type="text" name="name" required value="${draft.name}" class="w-full p-1 border rounded" />
+        </div>
+        <div class="flex space-x-2">
+          <div class="flex-1">
+            <label class="block text-sm font-medium">Servings</label>
+            <input type="number" name="servings" min="1" value="${draft.servings}" class="w-full p-1 border rounded" />
+          </div>
+          <div class="flex-1">
+            <label class="block text-sm font-medium">Prep time (minutes)</label>
+            <input type="number" name="prepTime" min="0" value="${draft.prepTime || ""}" class="w-full p-1 border rounded" />
+          </div>
+        </div>
+        <div>
+          <label class="block text-sm font-medium">Tags (comma separated)</label>
+          <input type="text" name="tags" value="${draft.tags.join(", ")}" class="w-full p-1 border rounded" />
+        </div>
+        <div>
+          <label class="block text-sm font-medium">Ingredients (one per line, e.g. "2 tbsp olive oil")</label>
+          <textarea name="ingredients" rows="6" class="w-full p-1 border rounded">${draft.ingredients
+            .map(formatIngredient)
+            .join("\n")}</textarea>
+        </div>
+        <div>
+          <label class="block text-sm font-medium">Steps (one per line)</label>
+          <textarea name="steps" rows="6" class="w-full p-1 border rounded">${draft.steps.join("\n")}</textarea>
+        </div>
+        <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Save</button>
+      </form>`;
+  }
+
+  /**
+   * Build the import form where schema.org Recipe JSON-LD, or the HTML of a
+   * page containing it, can be pasted.
+   */
+  function recipeImportHtml(message) {
+    return html`
+      <div class="flex justify-between items-start mb-2">
+        <h2 class="text-xl font-semibold">Import Recipe</h2>
+        <button class="close-dialog-button text-gray-600 hover:underline">Cancel</button>
+      </div>
+      <p class="text-sm text-gray-500 mb-2">
+        Paste schema.org Recipe JSON-LD, or the page source of a recipe from a
+        cooking site. It is parsed in your browser and opened for review
+        before it is saved.
+      </p>
+      ${message ? html`<p class="text-sm text-red-600 mb-2">${message}</p>` : ""}
+      <form id="import-recipe-form" class="space-y-2">
+        <textarea name="source" rows="10" required class="w-full p-1 border rounded font-mono text-xs"></textarea>
+        <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Import</button>
+      </form>`;
+  }
+
+  /**
+   * Build the sign-in panel, or who is signed in. The Google button is
+   * drawn into #google-signin-button by PantryAuth.renderButton after the
+   * panel is in place (see COMPONENTS).
+   */
+  function authHtml() {
+    if (!user) {
+      return html`
+        <div id="auth" class="mb-4 p-4 bg-white rounded shadow">
+          <h2 class="text-lg font-semibold mb-2">Sign in</h2>
+          ${authNotice ? html`<p class="text-sm text-red-600 mb-2">${authNotice}</p>` : ""}
+          ${
+            PantryAuth.getClientId()
+              ? html`<div id="google-signin-button" data-external></div>`
+              : html`<p class="text-sm text-gray-600">Google sign-in isn't set up yet. Add your OAuth client ID to the google-signin-client_id meta tag in index.html.</p>`
+          }
+          <p class="text-sm mt-2 text-gray-500">
+            Sign in with your Google account to keep your own pantry and share it
+            with your household across devices (including smart refrigerators).
+          </p>
+        </div>`;
+    }
+    return html`
         <div class="mb-4 p-4 bg-white rounded shadow flex items-center justify-between">
           <div>
             <p class="font-semibold">Signed in as ${user.name || user.email || "User"}</p>
             <p class="text-sm text-gray-500">${user.email || ""}</p>
           </div>
-          <button id="signout" class="text-blue-600 hover:underline">Sign out</button>
+          <button id="signout" class="text-blue-600 hover:underline">Sign out</button>
+        </div>`;
+  }
+
+  /**
+   * Build the household sync panel: how to start or join a household, or
+   * the current household's members and sync status.
+   */
+  function householdHtml() {
+    let householdBody = "";
+    if (!user) {
+      householdBody = html`<p class="text-gray-500">Sign in to share your pantry with your household.</p>`;
+    } else if (!syncSettings.householdId) {
+      householdBody = html`
+        <p class="text-gray-600 mb-2">
+          Share one pantry with everyone you live with. Start a household and give its code to the
+          others, or enter a code you were given. Your current pantry is merged into the household's.
+        </p>
+        <div class="flex flex-wrap items-center gap-2 mb-2">
+          <button id="sync-create" class="bg-blue-600 text-white px-4 py-1 rounded">Start a household</button>
+          <form id="sync-join-form" class="flex items-center gap-2">
+            <input type="text" id="sync-join-code" placeholder="Household code" class="p-1 border rounded" required />
+            <button type="submit" class="bg-gray-200 px-4 py-1 rounded">Join</button>
+          </form>
+        </div>
+        <label class="block text-gray-600">
+          Sync server
+          <select id="sync-server" class="p-1 border rounded mx-1">
+            <option value="test"${syncSettings.server === "test" ? " selected" : ""}>Test server (this tab only)</option>
+            <option value="rest"${syncSettings.server === "rest" ? " selected" : ""}>REST endpoint</option>
+          </select>
+          ${
+            syncSettings.server === "rest"
+              ? html`<input type="url" id="sync-server-url" value="${syncSettings.serverUrl}" placeholder="https://example.com/api" class="p-1 border rounded w-64" />`
+              : ""
+          }
+        </label>`;
+    } else {
+      const members = syncEngine
+        ? Object.values(syncEngine.state.members)
+            .sort((a, b) => b.lastSeen - a.lastSeen)
+            .map(
+              (member) =>
+                html`<li>${member.name} <span class="text-gray-500">(last change ${new Date(
+                  member.lastSeen
+                ).toLocaleDateString()})</span></li>`
+            )
+        : [];
+      const pending = syncEngine ? syncEngine.state.outbox.length : 0;
+      householdBody = html`
+        <p class="text-gray-600">
+          Household code <code class="bg-gray-100 px-1 rounded">${syncSettings.householdId}</code>.
+          Share it with household members so they can join.
+        </p>
+        <ul class="list-disc list-inside my-2">${members.length ? members : html`<li>No changes synced yet</li>`}</ul>
+        <p class="text-gray-500">
+          <span id="sync-status">${syncStatus}</span>
+          ${pending ? `(${pending} change${pending === 1 ? "" : "s"} waiting to sync)` : ""}
+        </p>
+        <div class="mt-2">
+          <button id="sync-now" class="bg-blue-600 text-white px-4 py-1 rounded">Sync now</button>
+          <button id="sync-leave" class="text-red-600 hover:underline ml-2">Leave household</button>
+        </div>`;
+    }
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow text-sm">
+        <h2 class="text-lg font-semibold mb-2">Household</h2>
+        ${householdBody}
+      </div>`;
+  }
+
+  /**
+   * Build the inline editor row for an inventory item: every item field,
+   * and each lot's details.
+   */
+  function inventoryEditorHtml(item) {
+    const lotInputs = lotsInUseOrder(item)
+      .map(
+        (lot) => html`
+              <div class="flex flex-wrap items-center space-x-2 mb-1" data-lot="${lot.id}">
+                <input type="number" name="lot-quantity" min="0" step="any" value="${lot.quantity}" class="w-20 p-1 border rounded" title="Quantity" />
+                <select name="lot-location" class="p-1 border rounded">
+                  ${LOCATIONS.map(
+                    (loc) => html`<option value="${loc}"${loc === lot.location ? " selected" : ""}>${loc}</option>`
+                  )}
+                </select>
+                <label class="text-xs text-gray-500">Bought <input type="date" name="lot-purchase" value="${
+                  lot.purchaseDate || ""
+                }" class="p-1 border rounded" /></label>
+                <label class="text-xs text-gray-500">Expires <input type="date" name="lot-expiration" value="${
+                  lot.expirationDate || ""
+                }" class="p-1 border rounded" /></label>
+              </div>`
+      );
+    return html`
+          <tr data-key="${item.id}" class="border-b last:border-none bg-yellow-50">
+            <td colspan="4" class="py-2 px-2">
+              <form id="edit-item-form" data-id="${item.id}" class="space-y-2">
+                <div class="flex flex-wrap items-end space-x-2">
+                  <label class="text-sm">Name
+                    <input type="text" name="name" value="${item.name}" required class="w-full p-1 border rounded" />
+                  </label>
+                  <label class="text-sm">Unit
+                    <select name="unit" class="w-full p-1 border rounded">
+                      ${Object.keys(UNITS)
+                        .map(
+                          (key) =>
+                            html`<option value="${key}"${key === item.unit ? " selected" : ""}>${UNITS[key].label}</option>`
+                        )
+                        }
+                    </select>
+                  </label>
+                  <label class="text-sm">Category
+                    <select name="category" class="w-full p-1 border rounded">
+                      <option value="">Auto</option>
+                      ${CATEGORIES.map(
+                        (c) => html`<option value="${c}"${c === item.category ? " selected" : ""}>${c}</option>`
+                      )}
+                    </select>
+                  </label>
+                  <label class="text-sm">Barcode
+                    <input type="text" name="barcode" inputmode="numeric" value="${item.barcode || ""}" class="w-full p-1 border rounded" />
+                  </label>
+                  <label class="text-sm flex items-center">
+                    <input type="checkbox" name="regular" class="mr-1"${item.regular ? " checked" : ""} /> Regular
+                  </label>
+                </div>
+                <div class="text-sm">
+                  <div class="font-medium mb-1">Lots</div>
+                  ${lotInputs.length ? lotInputs : html`<p class="text-gray-500">No lots left</p>`}
+                </div>
+                <div class="space-x-2">
+                  <button type="submit" class="bg-blue-600 text-white px-3 py-1 rounded">Save</button>
+                  <button type="button" id="cancel-edit" class="bg-gray-300 px-3 py-1 rounded">Cancel</button>
+                </div>
+              </form>
+            </td>
+          </tr>`;
+  }
+
+  /**
+   * Build one inventory row, followed by its lots (in use order) when
+   * expanded. reserved is what planned meals hold (see getReservations),
+   * shown under the quantity.
+   */
+  function inventoryRowHtml(item, reserved) {
+    const expireText = item.expirationDate ? parseDate(item.expirationDate).toLocaleDateString() : "";
+    const expanded = expandedItems.has(item.id);
+    const category = getItemCategory(item);
+    const locations = [...new Set(item.lots.map((lot) => lot.location))];
+    const nutrition = findByCanonicalName(ingredientNutrition, item.name);
+    const lotRows = expanded
+      ? lotsInUseOrder(item)
+          .map(
+            (lot) => html`
+          <tr data-key="${item.id}/${lot.id}" class="bg-gray-50 text-gray-600">
+            <td class="py-1 px-2 pl-6">${lot.location}${
+              lot.purchaseDate ? ` · bought ${parseDate(lot.purchaseDate).toLocaleDateString()}` : ""
+            }</td>
+            <td class="py-1 px-2 text-center">${formatQuantity(lot.quantity, item.unit)}</td>
+            <td class="py-1 px-2 text-center">${
+              lot.expirationDate ? parseDate(lot.expirationDate).toLocaleDateString() : ""
+            }</td>
+            <td class="py-1 px-2 text-right">
+              <select data-id="${item.id}" data-lot="${lot.id}" class="lot-location p-1 border rounded mr-2">
+                ${LOCATIONS.map(
+                  (loc) => html`<option value="${loc}"${loc === lot.location ? " selected" : ""}>${loc}</option>`
+                )}
+              </select>
+              <button data-id="${item.id}" data-lot="${lot.id}" class="remove-lot-button text-red-600 hover:underline">Remove</button>
+            </td>
+          </tr>`
+          )
+      : "";
+    return html`
+          <tr data-key="${item.id}" class="border-b last:border-none">
+            <td class="py-1 px-2">
+              ${item.name}
+              ${
+                item.lots.length
+                  ? html`<button data-id="${item.id}" class="lots-toggle text-xs text-gray-500 hover:underline ml-1">${
+                      expanded ? "▾" : "▸"
+                    } ${item.lots.length} lot${item.lots.length === 1 ? "" : "s"}</button>`
+                  : ""
+              }
+              <div class="text-xs">
+                ${category ? html`<span class="bg-green-100 text-green-800 rounded px-1 mr-1">${category}</span>` : ""}
+                ${locations.map((loc) => html`<span class="bg-gray-200 rounded px-1 mr-1">${loc}</span>`)}
+                ${(nutrition ? nutrition.contains : []).map(
+                  (what) => html`<span class="bg-yellow-100 text-yellow-800 rounded px-1 mr-1">${what}</span>`
+                )}
+              </div>
+            </td>
+            <td class="py-1 px-2 text-center whitespace-nowrap">
+              <button data-id="${item.id}" class="use-button px-1 border rounded" title="Use one">−</button>
+              <input type="number" data-id="${item.id}" min="0" step="any" value="${item.quantity}" class="qty-input w-16 p-1 border rounded text-center" />
+              <button data-id="${item.id}" class="add-one-button px-1 border rounded" title="Add one">+</button>
+              ${item.unit === "each" ? "" : UNITS[item.unit] ? UNITS[item.unit].label : item.unit}
+              ${
+                reserved.get(item.id)
+                  ? html`<div class="text-xs text-gray-500">${formatQuantity(
+                      getAvailableQuantity(item, reserved),
+                      item.unit
+                    )} free · ${formatQuantity(reserved.get(item.id), item.unit)} planned</div>`
+                  : ""
+              }
+            </td>
+            <td class="py-1 px-2 text-center">${expireText}</td>
+            <td class="py-1 px-2 text-right">
+              <button data-id="${item.id}" class="edit-button text-blue-600 hover:underline mr-2">Edit</button>
+              <button data-id="${item.id}" class="history-button text-gray-600 hover:underline mr-2">History</button>
+              <button data-id="${item.id}" class="discard-button text-red-600 hover:underline mr-2"${
+                item.quantity > 0 ? "" : " disabled"
+              }>Discard</button>
+              <button data-id="${item.id}" class="delete-button text-red-600 hover:underline">Delete</button>
+            </td>
+          </tr>${item.id === discardingItemId ? inventoryDiscardHtml(item) : ""}${lotRows}`;
+  }
+
+  /**
+   * Build the form under an inventory row for throwing some of the item
+   * out. The amount defaults to all of it and the reason to expired when
+   * the lot that goes first is past its date.
+   */
+  function inventoryDiscardHtml(item) {
+    const [first] = lotsInUseOrder(item);
+    const expired = first && first.expirationDate && first.expirationDate < toDateInputValue(new Date());
+    const reason = expired ? "expired" : "spoiled";
+    return html`
+          <tr data-key="${item.id}/discard" class="bg-red-50">
+            <td colspan="4" class="py-1 px-2">
+              <form data-id="${item.id}" class="discard-form flex flex-wrap items-center space-x-2">
+                <span>Throw out</span>
+                <input type="number" name="quantity" min="0" max="${item.quantity}" step="any" value="${item.quantity}" required class="w-20 p-1 border rounded" />
+                <span>${item.unit === "each" ? "" : UNITS[item.unit] ? UNITS[item.unit].label : item.unit} because it was</span>
+                <select name="reason" class="p-1 border rounded">
+                  ${DISCARD_REASONS.map(
+                    (r) => html`<option value="${r}"${r === reason ? " selected" : ""}>${r}</option>`
+                  )}
+                </select>
+                <button type="submit" class="bg-red-600 text-white px-3 py-1 rounded">Discard</button>
+                <button type="button" class="cancel-discard text-gray-600 hover:underline">Cancel</button>
+              </form>
+            </td>
+          </tr>`;
+  }
+
+  /**
+   * Build the inventory table: search, sort and filter chips, then a page
+   * of the visible items, each a row or its inline editor.
+   */
+  function inventoryHtml() {
+    const visibleInventory = getVisibleInventory();
+    const shownInventory = visibleInventory.slice(0, inventoryShown);
+    const categoryCounts = {};
+    const locationCounts = {};
+    inventory.forEach((item) => {
+      const category = getItemCategory(item);
+      if (category) categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+      new Set(item.lots.map((lot) => lot.location)).forEach((loc) => {
+        locationCounts[loc] = (locationCounts[loc] || 0) + 1;
+      });
+    });
+    const chip = (kind, value, label, count) => {
+      const active = inventoryView[kind] === value;
+      return html`<button data-filter="${kind}" data-value="${value}" class="filter-chip rounded px-2 mr-1 mb-1 ${
+        active ? "bg-blue-600 text-white" : "bg-gray-200"
+      }">${label}${count === undefined ? "" : ` (${count})`}</button>`;
+    };
+    const filterChips = html`
+        <div class="text-xs mb-1">
+          <span class="text-gray-500 mr-1">Category:</span>${chip("category", "", "All")}${CATEGORIES.filter(
+            (c) => categoryCounts[c]
+          )
+            .map((c) => chip("category", c, c, categoryCounts[c]))
+            }
+        </div>
+        <div class="text-xs mb-2">
+          <span class="text-gray-500 mr-1">Location:</span>${chip("location", "", "All")}${LOCATIONS.filter(
+            (loc) => locationCounts[loc]
+          )
+            .map((loc) => chip("location", loc, loc, locationCounts[loc]))
+            }
+        </div>`;
+    const sortOptions = [
+      ["added", "Date added"],
+      ["name", "Name"],
+      ["quantity", "Quantity"],
+      ["expiration", "Expiration"],
+    ]
+      .map(
+        ([value, label]) =>
+          html`<option value="${value}"${inventoryView.sort === value ? " selected" : ""}>${label}</option>`
+      );
+    const { reserved } = getReservations();
+    const inventoryRows = shownInventory
+      .map((item) => (item.id === editingItemId ? inventoryEditorHtml(item) : inventoryRowHtml(item, reserved)));
+    const hidden = visibleInventory.length - shownInventory.length;
+    let emptyInventoryText = "No items yet";
+    if (inventory.length) emptyInventoryText = "No items match the search or filters";
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Your Inventory</h2>
+        <div class="flex space-x-2 mb-2">
+          <input type="search" id="inventory-search" value="${inventoryView.search}" placeholder="Search name, category, barcode or location" class="flex-1 p-1 border rounded" />
+          <select id="inventory-sort" class="p-1 border rounded" title="Sort by">${sortOptions}</select>
+        </div>
+        ${filterChips}
+        <p class="text-xs text-gray-500 mb-1">Showing ${shownInventory.length} of ${inventory.length} item${
+          inventory.length === 1 ? "" : "s"
+        }</p>
+        <table class="w-full text-left text-sm">
+          <thead>
+            <tr class="border-b font-medium">
+              <th class="py-1 px-2">Item</th>
+              <th class="py-1 px-2 text-center">Qty</th>
+              <th class="py-1 px-2 text-center">Expires</th>
+              <th class="py-1 px-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>${inventoryRows.length ? inventoryRows : html`<tr><td colspan="4" class="py-2 text-center text-gray-500">${emptyInventoryText}</td></tr>`}</tbody>
+        </table>
+        ${
+          hidden
+            ? html`<button id="inventory-more" class="text-sm text-blue-600 hover:underline mt-1">Show more (${hidden} more)</button>`
+            : ""
+        }
+      </div>`;
+  }
+
+  /**
+   * Options for a unit select, "each" selected.
+   */
+  function unitOptionsHtml() {
+    return Object.keys(UNITS)
+      .map((key) => html`<option value="${key}"${key === "each" ? " selected" : ""}>${UNITS[key].label}</option>`);
+  }
+
+  /**
+   * Build the add item form, with the buttons that open the scanner.
+   */
+  function addItemHtml() {
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Add Item</h2>
+        <form id="add-form" class="space-y-2">
+          <div>
+            <label class="block text-sm font-medium">Name</label>
+            <input type="text" name="name" required class="w-full p-1 border rounded" />
+          </div>
+          <div>
+            <label class="block text-sm font-medium">Quantity</label>
+            <div class="flex space-x-2">
+              <input type="number" name="quantity" min="0" step="any" value="1" required class="w-full p-1 border rounded" />
+              <select name="unit" class="p-1 border rounded">${unitOptionsHtml()}</select>
+            </div>
+          </div>
+          <div>
+            <label class="block text-sm font-medium">Price paid (optional)</label>
+            <input type="number" name="price" min="0" step="0.01" placeholder="Price book estimate if blank" class="w-full p-1 border rounded" />
+          </div>
+          <div>
+            <label class="block text-sm font-medium">Expiration Date</label>
+            <input type="date" name="expirationDate" class="w-full p-1 border rounded" />
+          </div>
+          <div>
+            <label class="block text-sm font-medium">Storage location</label>
+            <select name="location" class="w-full p-1 border rounded">
+              <option value="">Auto</option>
+              ${LOCATIONS.map((loc) => html`<option value="${loc}">${loc}</option>`)}
+            </select>
+          </div>
+          <div>
+            <label class="block text-sm font-medium">Category</label>
+            <select name="category" class="w-full p-1 border rounded">
+              <option value="">Auto</option>
+              ${CATEGORIES.map((c) => html`<option value="${c}">${c}</option>`)}
+            </select>
+          </div>
+          <div>
+            <label class="block text-sm font-medium">Barcode</label>
+            <input type="text" name="barcode" inputmode="numeric" class="w-full p-1 border rounded" />
+          </div>
+          <div class="flex items-center">
+            <input type="checkbox" name="regular" id="regular" class="mr-2" />
+            <label for="regular" class="text-sm">Mark as regularly used item (notify to restock when quantity reaches 0)</label>
+          </div>
+          <div class="flex items-center space-x-3">
+            <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Add</button>
+            <button type="button" id="scan-button" class="bg-green-600 text-white px-4 py-1 rounded">Scan Barcode</button>
+            <button type="button" id="batch-button" class="bg-green-700 text-white px-4 py-1 rounded">Batch Scan</button>
+          </div>
+          <p id="scan-result" class="text-sm text-gray-600">${scanMessage}</p>
+        </form>
+      </div>`;
+  }
+
+  /**
+   * Build the barcode scanner: the single scan that fills in the add form
+   * and the batch scan session, whichever are open. The video elements
+   * stay in place while the panel updates, so the camera keeps running.
+   */
+  function scannerHtml() {
+    if (!singleScan && !batchScan) return "";
+    let batchHtml = "";
+    if (batchScan) {
+      const total = Object.values(batchScan.counts).reduce((sum, n) => sum + n, 0);
+      batchHtml = html`
+        <div id="batch-container"${singleScan ? html` class="mt-4"` : ""}>
+          <div class="flex items-center justify-between mb-2">
+            <div class="font-medium">Batch Scan</div>
+            <select id="batch-device" class="p-1 border rounded text-sm">
+              <option value="">Default camera</option>
+              ${batchScan.devices
+                .map(
+                  (device) =>
+                    html`<option value="${device.deviceId}"${device.deviceId === batchScan.deviceId ? " selected" : ""}>${
+                      device.label
+                    }</option>`
+                )
+                }
+            </select>
+          </div>
+          <video id="batch-video" class="w-full h-48 bg-black rounded"></video>
+          <p id="batch-status" class="text-sm text-gray-500 mt-2">${batchScan.status}</p>
+          <label class="block text-sm mt-2">Or decode a photo of a barcode:
+            <input type="file" id="batch-image" accept="image/*" class="ml-1" />
+          </label>
+          <ul id="batch-list" class="text-sm mt-2">${batchListHtml()}</ul>
+          <div class="mt-2 space-x-3">
+            <button id="batch-commit" class="bg-blue-600 text-white px-4 py-1 rounded"${total ? "" : " disabled"}>Add ${total} item${
+              total === 1 ? "" : "s"
+            } to inventory</button>
+            <button id="batch-cancel" class="bg-gray-300 px-3 py-1 rounded">Cancel</button>
+          </div>
+        </div>`;
+    }
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        ${
+          singleScan
+            ? html`
+        <div id="scan-container">
+          <div class="mb-2 font-medium">Barcode Scanner</div>
+          <video id="video" class="w-full h-48 bg-black rounded"></video>
+          <p id="scan-status" class="text-sm text-gray-500 mt-2">${singleScan.status}</p>
+          <button id="stop-scan" class="mt-2 bg-gray-300 px-3 py-1 rounded">Stop</button>
+        </div>`
+            : ""
+        }
+        ${batchHtml}
+      </div>`;
+  }
+
+  /**
+   * Build the product catalog panel: the first 50 products by name and
+   * the dump import form.
+   */
+  function catalogHtml() {
+    const catalogEntries = Object.values(productCatalog).sort((a, b) => a.name.localeCompare(b.name));
+    const catalogRows = catalogEntries
+      .slice(0, 50)
+      .map(
+        (product) => html`
+          <tr data-key="${product.barcode}" class="border-b last:border-none">
+            <td class="py-1 px-2 font-mono text-xs">${product.barcode}</td>
+            <td class="py-1 px-2">${product.brand ? `${product.brand} ` : ""}${product.name}</td>
+            <td class="py-1 px-2">${product.category || ""}</td>
+            <td class="py-1 px-2 text-center">${formatQuantity(product.size || 1, product.unit)}</td>
+            <td class="py-1 px-2 text-center">${product.shelfLifeDays ? `${product.shelfLifeDays} d` : ""}</td>
+            <td class="py-1 px-2 text-right">
+              <button data-barcode="${product.barcode}" class="forget-product-button text-red-600 hover:underline">Forget</button>
+            </td>
+          </tr>`
+      );
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Product Catalog</h2>
+        <p class="text-sm text-gray-500 mb-2">
+          ${catalogEntries.length} product${catalogEntries.length === 1 ? "" : "s"} known by barcode${
+            catalogEntries.length > 50 ? " (showing the first 50)" : ""
+          }. Items you add with a barcode are remembered here.
+        </p>
+        <table class="w-full text-left text-sm mb-2">
+          <thead>
+            <tr class="border-b font-medium">
+              <th class="py-1 px-2">Barcode</th>
+              <th class="py-1 px-2">Product</th>
+              <th class="py-1 px-2">Category</th>
+              <th class="py-1 px-2 text-center">Size</th>
+              <th class="py-1 px-2 text-center">Shelf life</th>
+              <th class="py-1 px-2"></th>
+            </tr>
+          </thead>
+          <tbody>${catalogRows.length ? catalogRows : html`<tr><td colspan="6" class="py-2 text-center text-gray-500">No products yet</td></tr>`}</tbody>
+        </table>
+        <form id="catalog-import-form" class="text-sm">
+          <label class="block font-medium">Import an Open Food Facts JSON, JSON lines or CSV dump</label>
+          <input type="file" id="catalog-file" accept=".json,.jsonl,.csv,.tsv,.txt" />
+          <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Import</button>
+        </form>
+      </div>`;
+  }
+
+  /**
+   * Build the notification settings: on/off, lead times, quiet hours and
+   * digest.
+   */
+  function notificationsHtml() {
+    const notificationsSupported = "Notification" in window && "serviceWorker" in navigator;
+    const hourOptions = (selected) =>
+      Array.from(
+        { length: 24 },
+        (_, hour) =>
+          html`<option value="${hour}"${hour === selected ? " selected" : ""}>${String(hour).padStart(2, "0")}:00</option>`
+      );
+    const leadInputs = CATEGORIES.map(
+      (category) => html`
+        <label class="flex items-center justify-between">
+          <span class="capitalize">${category}</span>
+          <input type="number" min="0" data-category="${category}" value="${
+            category in notificationSettings.leadDays ? notificationSettings.leadDays[category] : ""
+          }" placeholder="${notificationSettings.defaultLeadDays}" class="lead-days-input w-16 p-1 border rounded" />
+        </label>`
+    );
+    let notificationStatus = "";
+    if (!notificationsSupported) {
+      notificationStatus = html`<p class="text-gray-500">Notifications aren't supported in this browser.</p>`;
+    } else if (notificationSettings.enabled) {
+      notificationStatus = html`<p class="text-gray-600">Notifications are on. <button id="disable-notifications" class="text-blue-600 hover:underline">Turn off</button></p>`;
+    } else {
+      notificationStatus = html`<button id="enable-notifications" class="bg-blue-600 text-white px-4 py-1 rounded">Turn on notifications</button>`;
+    }
+    return html`
+        <div class="mt-4 text-sm">
+          <h3 class="font-medium">Notifications</h3>
+          ${notificationStatus}
+          <form id="notification-settings" class="mt-2">
+            <label class="block text-gray-600">
+              Remind me
+              <input type="number" id="default-lead-days" min="0" value="${notificationSettings.defaultLeadDays}" class="w-16 p-1 border rounded mx-1" />
+              days before things expire
+            </label>
+            <details class="mt-1">
+              <summary class="cursor-pointer text-gray-600">Lead time by category (blank uses the default)</summary>
+              <div class="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-1 mt-1">${leadInputs}</div>
+            </details>
+            <label class="block text-gray-600 mt-1">
+              Quiet hours from
+              <select id="quiet-start" class="p-1 border rounded mx-1">${hourOptions(notificationSettings.quietStart)}</select>
+              to
+              <select id="quiet-end" class="p-1 border rounded mx-1">${hourOptions(notificationSettings.quietEnd)}</select>
+            </label>
+            <label class="block text-gray-600 mt-1">
+              <input type="checkbox" id="notification-digest" ${notificationSettings.digest ? "checked" : ""} />
+              Send one daily digest at
+              <select id="digest-hour" class="p-1 border rounded mx-1">${hourOptions(notificationSettings.digestHour)}</select>
+              instead of a notification per item
+            </label>
+          </form>
+        </div>`;
+  }
+
+  /**
+   * Build the reminders panel: soon to expire and restock lists, the
+   * restock lead time and the notification settings.
+   */
+  function remindersHtml() {
+    const soonList = getSoonExpiringItems()
+      .map(({ item, lot, daysLeft }) => {
+        const store = getCheapestStoreFor(item.name.toLowerCase());
+        const lotText = item.lots.length > 1 ? ` (${formatQuantity(lot.quantity, item.unit)} in the ${lot.location})` : "";
+        return html`<li class="mb-1">${item.name}${lotText} expires in ${daysLeft >= 0 ? daysLeft : 0} days${
+          store
+            ? html` — cheapest price at <strong>${store.store}</strong> ($${store.price.toFixed(
+                2
+              )})`
+            : ""
+        }</li>`;
+      });
+    const restockList = getRestockItems()
+      .map((item) => {
+        const store = getCheapestStoreFor(item.name.toLowerCase());
+        const forecast = item.quantity > 0 && getRunOutForecast(item);
+        const forecastText = forecast
+          ? ` runs out in about ${forecast.daysLeft} day${forecast.daysLeft === 1 ? "" : "s"}`
+          : "";
+        return html`<li class="mb-1">${item.name}${forecastText}${
+          store
+            ? html` — cheapest price at <strong>${store.store}</strong> ($${store.price.toFixed(
+                2
+              )})`
+            : ""
+        }</li>`;
+      });
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Reminders</h2>
+        <div class="mb-2">
+          <h3 class="font-medium">Soon to expire</h3>
+          <ul class="list-disc list-inside text-sm">${soonList.length ? soonList : html`<li>None</li>`}</ul>
+        </div>
+        <div>
+          <h3 class="font-medium">Restock</h3>
+          <ul class="list-disc list-inside text-sm">${restockList.length ? restockList : html`<li>None</li>`}</ul>
+          <label class="block text-sm text-gray-600 mt-2">
+            Warn me when an item will run out within
+            <input type="number" id="restock-lead-days" min="0" value="${restockLeadDays}" class="w-16 p-1 border rounded mx-1" />
+            days
+          </label>
+        </div>
+        ${notificationsHtml()}
+      </div>`;
+  }
+
+  /**
+   * Build the pantry stats from the history.
+   */
+  function statsHtml() {
+    const stats = getPantryStats();
+    const statsRows = stats.mostUsed
+      .slice(0, 10)
+      .map(
+        ({ name, unit, uses, used, thrown }) => html`
+          <tr class="border-b last:border-none">
+            <td class="py-1 px-2">${name}</td>
+            <td class="py-1 px-2 text-center">${uses}</td>
+            <td class="py-1 px-2 text-center">${formatQuantity(used, unit)}</td>
+            <td class="py-1 px-2 text-center">${formatQuantity(thrown, unit)}</td>
+          </tr>`
+      );
+    const totalRemoved = stats.usedEvents + stats.thrownEvents;
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Pantry Stats</h2>
+        <p class="text-sm text-gray-600 mb-2">${
+          totalRemoved
+            ? `Used ${stats.usedEvents} time${stats.usedEvents === 1 ? "" : "s"}, threw out ${stats.thrownEvents} time${
+                stats.thrownEvents === 1 ? "" : "s"
+              } (${Math.round((stats.usedEvents / totalRemoved) * 100)}% used).`
+            : "No usage recorded yet."
+        }</p>
+        <table class="w-full text-left text-sm">
+          <thead>
+            <tr class="border-b font-medium">
+              <th class="py-1 px-2">Most used</th>
+              <th class="py-1 px-2 text-center">Times</th>
+              <th class="py-1 px-2 text-center">Used</th>
+              <th class="py-1 px-2 text-center">Thrown out</th>
+            </tr>
+          </thead>
+          <tbody>${statsRows.length ? statsRows : html`<tr><td colspan="4" class="py-2 text-center text-gray-500">Nothing yet</td></tr>`}</tbody>
+        </table>
+      </div>`;
+  }
+
+  /**
+   * Bar chart of money spent and wasted per month, drawn as inline SVG.
+   */
+  function wasteChartHtml(months) {
+    const top = Math.max(1, ...months.map((month) => Math.max(month.spent, month.wasted)));
+    const slot = 600 / months.length;
+    const bar = slot * 0.3;
+    const height = (value) => Math.round((value / top) * 140);
+    const bars = months.map((month, index) => {
+      const x = Math.round(index * slot + slot * 0.18);
+      return html`
+            <rect x="${x}" y="${150 - height(month.spent)}" width="${Math.round(bar)}" height="${height(month.spent)}" fill="#93c5fd"><title>${
+              month.label
+            }: spent $${month.spent.toFixed(2)}</title></rect>
+            <rect x="${Math.round(x + bar + 2)}" y="${150 - height(month.wasted)}" width="${Math.round(bar)}" height="${height(
+              month.wasted
+            )}" fill="#ef4444"><title>${month.label}: wasted $${month.wasted.toFixed(2)}</title></rect>
+            <text x="${Math.round(index * slot + slot / 2)}" y="168" text-anchor="middle" font-size="12" fill="#6b7280">${month.label}</text>`;
+    });
+    return html`
+        <svg viewBox="0 0 600 175" class="w-full h-40" role="img" aria-label="Money spent and wasted per month">
+          <line x1="0" y1="150" x2="600" y2="150" stroke="#d1d5db" />
+          <text x="0" y="10" font-size="11" fill="#6b7280">$${top.toFixed(2)}</text>
+          ${bars}
+        </svg>`;
+  }
+
+  /**
+   * Build the food waste dashboard: money spent and wasted per month, the
+   * most wasted items, and how much gets thrown out with expiry reminders
+   * on versus off.
+   */
+  function wasteHtml() {
+    const report = getWasteReport();
+    const share = ({ removed, discarded }) => (removed ? discarded / removed : 0);
+    const wastedRows = report.mostWasted.slice(0, 5).map(
+      ({ name, unit, quantity, cost, discards, reasons }) => html`
+          <tr class="border-b last:border-none">
+            <td class="py-1 px-2">${name}</td>
+            <td class="py-1 px-2 text-center">${formatQuantity(quantity, unit)}</td>
+            <td class="py-1 px-2 text-center">$${cost.toFixed(2)}</td>
+            <td class="py-1 px-2 text-gray-500">${Object.entries(reasons)
+              .map(([reason, count]) => `${reason}${discards > 1 ? ` ×${count}` : ""}`)
+              .join(", ")}</td>
+          </tr>`
+    );
+    const reminderBars = [
+      ["Reminders on", report.reminders.on],
+      ["Reminders off", report.reminders.off],
+    ].map(
+      ([label, group], index) => html`
+            <text x="0" y="${index * 26 + 16}" font-size="12" fill="#374151">${label}</text>
+            <rect x="110" y="${index * 26 + 4}" width="${Math.round(share(group) * 400)}" height="16" fill="${
+              index ? "#9ca3af" : "#10b981"
+            }" />
+            <text x="${Math.round(share(group) * 400) + 116}" y="${index * 26 + 16}" font-size="12" fill="#374151">${
+              group.removed
+                ? `${Math.round(share(group) * 100)}% thrown out (${group.discarded} of ${group.removed})`
+                : "no data yet"
+            }</text>`
+    );
+    const { on, off } = report.reminders;
+    let verdict = "Use and discard items with reminders both on and off to see whether they help.";
+    if (on.removed && off.removed) {
+      const difference = Math.round((share(off) - share(on)) * 100);
+      if (difference > 0) verdict = `With reminders on, ${difference} percentage points less gets thrown out.`;
+      else if (difference < 0) verdict = `With reminders on, ${-difference} percentage points more gets thrown out.`;
+      else verdict = "Reminders make no difference to how much gets thrown out so far.";
+    }
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Food Waste</h2>
+        <p class="text-sm text-gray-600 mb-1">
+          Last ${WASTE_MONTHS} months: spent $${report.spent.toFixed(2)}, wasted
+          $${report.wasted.toFixed(2)}${
+            report.spent ? ` (${Math.round((report.wasted / report.spent) * 100)}% of spending)` : ""
+          }.
+          ${
+            report.unpriced
+              ? `${report.unpriced} discard${report.unpriced === 1 ? " has" : "s have"} no price and count as $0.`
+              : ""
+          }
+        </p>
+        <div class="flex text-xs text-gray-600 space-x-3">
+          <span><span class="inline-block w-3 h-3 mr-1 bg-blue-300"></span>Spent</span>
+          <span><span class="inline-block w-3 h-3 mr-1 bg-red-500"></span>Wasted</span>
+        </div>
+        ${wasteChartHtml(report.months)}
+        <table class="w-full text-left text-sm mt-2">
+          <thead>
+            <tr class="border-b font-medium">
+              <th class="py-1 px-2">Most wasted</th>
+              <th class="py-1 px-2 text-center">Amount</th>
+              <th class="py-1 px-2 text-center">Cost</th>
+              <th class="py-1 px-2">Why</th>
+            </tr>
+          </thead>
+          <tbody>${wastedRows.length ? wastedRows : html`<tr><td colspan="4" class="py-2 text-center text-gray-500">Nothing thrown out yet</td></tr>`}</tbody>
+        </table>
+        <h3 class="font-medium mt-3">Do reminders help?</h3>
+        <svg viewBox="0 0 600 52" class="w-full h-12" role="img" aria-label="Share thrown out with reminders on and off">
+          ${reminderBars}
+        </svg>
+        <p class="text-sm text-gray-600">${verdict}</p>
+      </div>`;
+  }
+
+  /**
+   * Build the change journal with undo and redo.
+   */
+  function journalHtml() {
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+    const journalRows = journal
+      .slice(-journalShown)
+      .reverse()
+      .map(
+        (entry) => html`
+          <li data-key="${entry.id}" class="py-1 border-b last:border-none">
+            <span class="text-gray-500">${new Date(entry.at).toLocaleString()}</span>
+            <span class="font-medium ml-1">${entry.label}</span>
+            ${
+              entry.changes.length
+                ? html`<div class="text-xs text-gray-600 ml-4">${entry.changes
+                    .map(
+                      (change) =>
+                        `${change.name}: ${change.before === null ? "added" : change.before} → ${
+                          change.after === null ? "removed" : change.after
+                        }`
+                    )
+                    .join("; ")}</div>`
+                : ""
+            }
+          </li>`
+      );
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Change Journal</h2>
+        <div class="space-x-2 mb-2 text-sm">
+          <button id="undo-button" class="bg-gray-300 px-3 py-1 rounded"${lastUndo ? "" : " disabled"}>${
+            lastUndo ? `Undo ${lastUndo.label}` : "Undo"
+          }</button>
+          <button id="redo-button" class="bg-gray-300 px-3 py-1 rounded"${lastRedo ? "" : " disabled"}>${
+            lastRedo ? `Redo ${lastRedo.label}` : "Redo"
+          }</button>
+          <span class="text-gray-500">Ctrl+Z / Ctrl+Shift+Z</span>
+        </div>
+        <ul class="text-sm">${journalRows.length ? journalRows : html`<li class="text-gray-500">No changes yet</li>`}</ul>
+        ${
+          journal.length > journalShown
+            ? html`<button id="journal-more" class="text-sm text-blue-600 hover:underline mt-1">Show more (${
+                journal.length - journalShown
+              } older)</button>`
+            : ""
+        }
+      </div>`;
+  }
+
+  /**
+   * Build the shopping list, with the cheapest way to buy the unchecked
+   * entries within the store limit.
+   */
+  function shoppingHtml() {
+    const shoppingRows = shoppingList
+      .map((entry) => {
+        const store = getCheapestStoreFor(entry.name);
+        return html`
+          <li data-key="${entry.id}" class="flex items-center justify-between border-b last:border-none py-1">
+            <label class="flex items-center${entry.checked ? " line-through text-gray-400" : ""}">
+              <input type="checkbox" data-id="${entry.id}" class="shopping-check mr-2" ${entry.checked ? "checked disabled" : ""} />
+              ${formatIngredient({ name: entry.name, amount: entry.quantity, unit: entry.unit })}
+              <span class="text-xs text-gray-500 ml-2">${entry.sources.join(", ")}${
+                store ? ` · ${store.store} $${store.price.toFixed(2)}` : ""
+              }</span>
+            </label>
+            <button data-id="${entry.id}" class="shopping-remove text-red-600 hover:underline">Remove</button>
+          </li>`;
+      });
+    const openEntries = shoppingList.filter((entry) => !entry.checked);
+    let basketHtml = "";
+    if (openEntries.length) {
+      const plan = planShoppingBasket(openEntries, basketMaxStores);
+      const storeBlocks = plan.stores
+        .map(
+          ({ store, lines, total }) => html`
+            <div class="mb-2">
+              <div class="font-medium">${store} — $${total.toFixed(2)}</div>
+              <ul class="list-disc list-inside">
+                ${lines
+                  .map(
+                    ({ entry, record, packages, cost }) =>
+                      html`<li>${entry.name}: ${packages} × ${formatQuantity(record.size || 1, record.unit)} @ $${record.price.toFixed(2)} = $${cost.toFixed(2)}</li>`
+                  )
+                  }
+              </ul>
+            </div>`
+        );
+      basketHtml = html`
+        <div class="mt-4 border-t pt-2 text-sm">
+          <div class="flex items-center justify-between mb-2">
+            <h3 class="font-medium">Cheapest plan</h3>
+            <label>Stores to visit
+              <select id="basket-max-stores" class="p-1 border rounded ml-1">
+                <option value="1"${basketMaxStores === 1 ? " selected" : ""}>One</option>
+                <option value="2"${basketMaxStores === 2 ? " selected" : ""}>At most two</option>
+                <option value="any"${basketMaxStores === Infinity ? " selected" : ""}>Any</option>
+              </select>
+            </label>
+          </div>
+          ${storeBlocks.length ? storeBlocks : html`<p class="text-gray-500">No prices known for these items.</p>`}
+          ${plan.stores.length ? html`<p class="font-medium">Total: $${plan.total.toFixed(2)}${
+            plan.savings !== null && plan.stores.length > 1
+              ? ` — saves $${plan.savings.toFixed(2)} over the cheapest single store`
+              : ""
+          }</p>` : ""}
+          ${plan.unpriced.length ? html`<p class="text-gray-500">No price for: ${plan.unpriced.map((e) => e.name).join(", ")}</p>` : ""}
+        </div>`;
+    }
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <div class="flex justify-between items-center mb-2">
+          <h2 class="text-lg font-semibold">Shopping List</h2>
+          <div class="space-x-3 text-sm">
+            <button id="shopping-restock" class="text-blue-600 hover:underline">Add restock &amp; expiring</button>
+            <button id="shopping-clear" class="text-blue-600 hover:underline">Clear checked</button>
+            <button id="shopping-export-text" class="text-blue-600 hover:underline">Export text</button>
+            <button id="shopping-export-md" class="text-blue-600 hover:underline">Export Markdown</button>
+          </div>
+        </div>
+        <ul class="text-sm mb-2">${shoppingRows.length ? shoppingRows : html`<li class="text-gray-500">Your shopping list is empty</li>`}</ul>
+        <form id="shopping-form" class="flex space-x-2">
+          <input type="text" name="entry" placeholder='e.g. "2 lb chicken breast"' required class="flex-1 p-1 border rounded" />
+          <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Add</button>
+        </form>
+        <p class="text-xs text-gray-500 mt-1">Checking off an entry adds it to your inventory.</p>
+        ${basketHtml}
+      </div>`;
+  }
+
+  /**
+   * Build the price book: current price per store for every item, and the
+   * forms to add and import prices.
+   */
+  function pricesHtml() {
+    const priceRows = Object.keys(priceData)
+      .sort()
+      .flatMap((name) =>
+        getCurrentPrices(name).map(
+          (record) => html`
+          <tr class="border-b last:border-none">
+            <td class="py-1 px-2">${name}</td>
+            <td class="py-1 px-2">${record.store}</td>
+            <td class="py-1 px-2 text-right">$${record.price.toFixed(2)}</td>
+            <td class="py-1 px-2 text-center">${formatQuantity(record.size || 1, record.unit)}</td>
+            <td class="py-1 px-2 text-right">${formatUnitPrice(record, name)}</td>
+            <td class="py-1 px-2 text-center">${record.observedOn || ""}</td>
+          </tr>`
+        )
+      );
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Prices</h2>
+        <table class="w-full text-left text-sm mb-2">
+          <thead>
+            <tr class="border-b font-medium">
+              <th class="py-1 px-2">Item</th>
+              <th class="py-1 px-2">Store</th>
+              <th class="py-1 px-2 text-right">Price</th>
+              <th class="py-1 px-2 text-center">Size</th>
+              <th class="py-1 px-2 text-right">Unit price</th>
+              <th class="py-1 px-2 text-center">Observed</th>
+            </tr>
+          </thead>
+          <tbody>${priceRows.length ? priceRows : html`<tr><td colspan="6" class="py-2 text-center text-gray-500">No prices yet</td></tr>`}</tbody>
+        </table>
+        <form id="price-form" class="flex flex-wrap items-center text-sm mb-2">
+          <input type="text" name="item" placeholder="Item" required class="w-32 p-1 border rounded mr-1 mb-1" />
+          <input type="text" name="store" placeholder="Store" required class="w-28 p-1 border rounded mr-1 mb-1" />
+          <input type="number" name="price" placeholder="Price" min="0" step="0.01" required class="w-20 p-1 border rounded mr-1 mb-1" />
+          <input type="number" name="size" placeholder="Size" min="0" step="any" value="1" class="w-16 p-1 border rounded mr-1 mb-1" />
+          <select name="unit" class="p-1 border rounded mr-1 mb-1">${unitOptionsHtml()}</select>
+          <input type="date" name="observedOn" class="p-1 border rounded mr-1 mb-1" />
+          <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded mb-1">Add price</button>
+        </form>
+        <form id="price-import-form" class="text-sm">
+          <label class="block font-medium">Import CSV (item, store, price, size, unit, observed_on)</label>
+          <input type="file" id="price-file" accept=".csv,text/csv" class="mb-1" />
+          <textarea name="csv" rows="3" class="w-full p-1 border rounded font-mono text-xs" placeholder="item,store,price,size,unit,observed_on"></textarea>
+          <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Import</button>
+        </form>
+      </div>`;
+  }
+
+  /**
+   * Build the recipe suggestions: filters, pantry staples and a page of
+   * the matching recipes, best first.
+   */
+  function recipesHtml() {
+    const suggestions = filterSuggestions(getRecipeSuggestions(), suggestionFilters);
+    const shownSuggestions = suggestions.slice(0, suggestionsShown);
+    const suggestionsRows = shownSuggestions
+      .map(({ recipe, checks, missing, warnings, score, reasons }) => {
+        const canCook = missing.length === 0;
+        const { calories } = getRecipeNutrition(recipe);
+        // Show which inventory item stands in for an ingredient when its
+        // name differs, e.g. "2 eggs (Eggs (dozen))"
+        const ingredientList = checks
+          .map(({ ingredient, item }, index) => {
+            const via =
+              item && item.name.toLowerCase() !== ingredient.name.toLowerCase()
+                ? html` <span class="text-gray-500">(${item.name})</span>`
+                : "";
+            return html`${index ? ", " : ""}${formatIngredient(ingredient)}${via}`;
+          });
+        return html`
+          <tr data-key="${recipe.id}" class="border-b last:border-none">
+            <td class="py-1 px-2">${recipe.name}
+              <div class="text-xs text-gray-500">about ${calories} kcal a serving</div>
+            </td>
+            <td class="py-1 px-2">${ingredientList}</td>
+            <td class="py-1 px-2">${
+              missing.length
+                ? html`<span class="text-red-600">Missing: ${missing.map(formatIngredient).join(", ")}</span>`
+                : html`<span class="text-green-600">All ingredients available</span>`
+            }
+              <ul class="text-xs text-gray-500 mt-1" title="Ranking score ${score}">
+                ${reasons.map((reason) => html`<li>${reason}</li>`)}
+              </ul>
+              ${
+                warnings.length
+                  ? html`<ul class="text-xs text-yellow-800 mt-1">${warnings.map(
+                      (warning) => html`<li>⚠ ${formatDietWarning(warning)}</li>`
+                    )}</ul>`
+                  : ""
+              }
+            </td>
+            <td class="py-1 px-2 text-right">
+              <button data-id="${recipe.id}" class="cook-button text-blue-600 hover:underline mr-2" ${
+                canCook ? "" : "disabled"
+              }>Cook</button>
+              ${
+                missing.length
+                  ? html`<button data-id="${recipe.id}" class="list-recipe-button text-blue-600 hover:underline mr-2">+ List</button>`
+                  : ""
+              }
+              <button data-id="${recipe.id}" class="view-button text-gray-600 hover:underline">View</button>
+            </td>
+          </tr>`;
+      });
+    const hidden = suggestions.length - shownSuggestions.length;
+    const recipeTags = [...new Set(recipes.flatMap((r) => r.tags))].sort();
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <div class="flex justify-between items-center mb-2">
+          <h2 class="text-lg font-semibold">Recipe Suggestions</h2>
+          <div class="space-x-3 text-sm">
+            <button id="new-recipe-button" class="text-blue-600 hover:underline">New Recipe</button>
+            <button id="import-recipe-button" class="text-blue-600 hover:underline">Import</button>
+          </div>
+        </div>
+        <div class="flex flex-wrap items-center text-sm mb-2 space-x-4">
+          <label class="flex items-center">
+            <input type="checkbox" id="filter-cookable" class="mr-1" ${suggestionFilters.cookableOnly ? "checked" : ""} />
+            Cookable now
+          </label>
+          <label class="flex items-center">
+            Missing at most
+            <input type="number" id="filter-max-missing" min="0" value="${
+              suggestionFilters.maxMissing === null ? "" : suggestionFilters.maxMissing
+            }" class="w-16 p-1 border rounded ml-1" />
+          </label>
+          ${
+            dietProfiles.length
+              ? html`<label class="flex items-center">
+            <input type="checkbox" id="filter-diets" class="mr-1" ${suggestionFilters.suitsEveryone ? "checked" : ""} />
+            Suits everyone's diet
+          </label>`
+              : ""
+          }
+          <label class="flex items-center">
+            Tag
+            <select id="filter-tag" class="p-1 border rounded ml-1">
+              <option value="">Any</option>
+              ${recipeTags
+                .map((tag) => html`<option value="${tag}"${tag === suggestionFilters.tag ? " selected" : ""}>${tag}</option>`)
+                }
+            </select>
+          </label>
+        </div>
+        <div class="flex flex-wrap items-center text-sm mb-2">
+          <span class="mr-2 text-gray-600">Always have:</span>
+          ${pantryStaples
+            .map(
+              (staple) => html`
+            <span class="bg-gray-200 rounded px-2 mr-1 mb-1">${staple}
+              <button data-staple="${staple}" class="remove-staple-button text-red-600 ml-1" title="Remove">×</button>
+            </span>`
+            )
+            }
+          <form id="staple-form" class="inline-flex">
+            <input type="text" name="staple" placeholder="Add staple" class="w-28 p-1 border rounded" />
+          </form>
+        </div>
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="border-b font-medium">
+              <th class="py-1 px-2 w-1/5">Recipe</th>
+              <th class="py-1 px-2 w-2/5">Ingredients</th>
+              <th class="py-1 px-2 w-1/4">Availability</th>
+              <th class="py-1 px-2 text-right w-1/4">Actions</th>
+            </tr>
+          </thead>
+          <tbody>${suggestionsRows.length ? suggestionsRows : html`<tr><td colspan="4" class="py-2 text-center text-gray-500">${
+            recipes.length ? "No recipes match the filters" : "No recipes yet"
+          }</td></tr>`}</tbody>
+        </table>
+        ${
+          hidden
+            ? html`<button id="suggestions-more" class="text-sm text-blue-600 hover:underline mt-1">Show more (${hidden} more)</button>`
+            : ""
+        }
+      </div>`;
+  }
+
+  /**
+   * Build the weekly meal planner: a form to plan a recipe on a day of
+   * the shown week, each day's meals with servings, Cook and Remove, and
+   * what the week's meals still need beyond the free inventory.
+   */
+  function mealPlanHtml() {
+    const today = toDateInputValue(new Date());
+    const days = [0, 1, 2, 3, 4, 5, 6].map((offset) => addDays(planWeek, offset));
+    const dayLabel = (date) =>
+      parseDate(date).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+    const weekMeals = getWeekMeals(planWeek);
+    const needs = getWeekNeeds(planWeek);
+    const dayRows = days.map((date) => {
+      const meals = weekMeals.filter(({ meal }) => meal.date === date);
+      return html`
+          <tr data-key="${date}" class="border-b last:border-none align-top">
+            <td class="py-1 px-2 whitespace-nowrap ${date === today ? "font-semibold" : ""}">${dayLabel(date)}</td>
+            <td class="py-1 px-2">${
+              meals.length
+                ? meals.map(
+                    ({ meal, recipe }) => html`
+              <div data-key="${meal.id}" class="flex items-center mb-1">
+                <span class="flex-1 ${meal.cooked ? "line-through text-gray-500" : ""}">${recipe.name}</span>
+                <input type="number" data-id="${meal.id}" min="1" value="${meal.servings}" class="meal-servings w-14 p-1 border rounded text-center mr-1" title="Servings" />
+                <span class="text-xs text-gray-500 mr-2">servings</span>
+                ${
+                  meal.cooked
+                    ? html`<span class="text-xs text-green-600 mr-2">Cooked</span>`
+                    : html`<button data-id="${meal.id}" class="cook-meal-button text-blue-600 hover:underline mr-2">Cook</button>`
+                }
+                <button data-id="${meal.id}" class="remove-meal-button text-red-600 hover:underline">Remove</button>
+              </div>`
+                  )
+                : html`<span class="text-gray-400">Nothing planned</span>`
+            }</td>
+          </tr>`;
+    });
+    const needItems = needs.map(
+      (need) => html`<li>${formatIngredient({ name: need.name, amount: need.amount, unit: need.unit })}
+            <span class="text-gray-500">(${need.recipes.join(", ")})</span></li>`
+    );
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <div class="flex justify-between items-center mb-2">
+          <h2 class="text-lg font-semibold">Meal Plan</h2>
+          <div class="space-x-3 text-sm">
+            <button id="plan-prev-week" class="text-blue-600 hover:underline">‹ Previous</button>
+            <button id="plan-this-week" class="text-blue-600 hover:underline">This week</button>
+            <button id="plan-next-week" class="text-blue-600 hover:underline">Next ›</button>
+            <button id="export-plan-ics" class="text-blue-600 hover:underline"${
+              weekMeals.length ? "" : " disabled"
+            }>Export .ics</button>
+          </div>
+        </div>
+        <p class="text-sm text-gray-500 mb-2">
+          Week of ${parseDate(planWeek).toLocaleDateString()}. Meals not yet cooked
+          reserve their ingredients, so suggestions only count what is left.
+        </p>
+        <form id="meal-form" class="flex flex-wrap items-center text-sm mb-2 space-x-2">
+          <select name="date" class="p-1 border rounded">
+            ${days.map(
+              (date) => html`<option value="${date}"${date === today ? " selected" : ""}>${dayLabel(date)}</option>`
+            )}
+          </select>
+          <select name="recipeId" required class="flex-1 p-1 border rounded">
+            <option value="">Choose a recipe</option>
+            ${recipes.map((recipe) => html`<option value="${recipe.id}">${recipe.name}</option>`)}
+          </select>
+          <input type="number" name="servings" min="1" placeholder="Servings" class="w-24 p-1 border rounded" />
+          <button type="submit" class="bg-blue-600 text-white px-3 py-1 rounded">Plan</button>
+        </form>
+        <table class="w-full text-left text-sm">
+          <tbody>${dayRows}</tbody>
+        </table>
+        <div class="mt-3 text-sm">
+          <div class="flex justify-between items-center">
+            <h3 class="font-medium">Still needed this week</h3>
+            ${
+              needs.length
+                ? html`<button id="plan-to-list-button" class="text-blue-600 hover:underline">Add to shopping list</button>`
+                : ""
+            }
+          </div>
+          ${
+            needs.length
+              ? html`<ul class="list-disc list-inside">${needItems}</ul>`
+              : html`<p class="text-gray-500">${
+                  weekMeals.length ? "Everything planned is in the pantry." : "No meals planned this week."
+                }</p>`
+          }
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Build the household diets panel: each member's diets, which recipe
+   * suggestions are checked against, and a form to add a member.
+   */
+  function dietsHtml() {
+    const dietBoxes = (profile) =>
+      Object.keys(DIETS).map(
+        (diet) => html`<label class="mr-3 whitespace-nowrap">
+              <input type="checkbox" data-id="${profile.id}" data-diet="${diet}" class="diet-toggle mr-1"${
+                profile.diets.includes(diet) ? " checked" : ""
+              } />${diet}</label>`
+      );
+    const profileRows = dietProfiles.map(
+      (profile) => html`
+          <li data-key="${profile.id}" class="flex justify-between items-center border-b last:border-none py-1">
+            <span><span class="font-medium mr-2">${profile.name}</span>${dietBoxes(profile)}</span>
+            <button data-id="${profile.id}" class="remove-diet-profile-button text-red-600 hover:underline">Remove</button>
+          </li>`
+    );
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Household Diets</h2>
+        <p class="text-sm text-gray-500 mb-2">
+          Recipe suggestions are flagged when they don't suit someone, with substitutes where there are any.
+        </p>
+        <ul class="text-sm mb-2">${
+          profileRows.length ? profileRows : html`<li class="text-gray-500">No dietary needs recorded</li>`
+        }</ul>
+        <form id="diet-profile-form" class="flex flex-wrap items-center text-sm">
+          <input type="text" name="name" placeholder="Name" required class="p-1 border rounded mr-3" />
+          ${Object.keys(DIETS).map(
+            (diet) => html`<label class="mr-3 whitespace-nowrap">
+            <input type="checkbox" name="diets" value="${diet}" class="mr-1" />${diet}</label>`
+          )}
+          <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Add</button>
+        </form>
+      </div>`;
+  }
+
+  /**
+   * Build the ingredient alias editor.
+   */
+  function aliasesHtml() {
+    const aliasRows = Object.keys(ingredientAliases)
+      .sort()
+      .map(
+        (alias) => html`
+          <li class="flex justify-between border-b last:border-none py-1">
+            <span>${alias} → ${ingredientAliases[alias]}</span>
+            <button data-alias="${alias}" class="remove-alias-button text-red-600 hover:underline">Remove</button>
+          </li>`
+      );
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Ingredient Aliases</h2>
+        <p class="text-sm text-gray-500 mb-2">
+          Tell the recipe matcher that two names mean the same ingredient,
+          e.g. "jam" → "jelly". Plurals and package sizes are handled automatically.
+        </p>
+        <ul class="text-sm mb-2">${aliasRows.length ? aliasRows : html`<li class="text-gray-500">No aliases</li>`}</ul>
+        <form id="alias-form" class="flex space-x-2">
+          <input type="text" name="alias" placeholder="Alias" required class="flex-1 p-1 border rounded" />
+          <input type="text" name="canonical" placeholder="Means" required class="flex-1 p-1 border rounded" />
+          <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Add</button>
+        </form>
+      </div>`;
+  }
+
+  /**
+   * Build the preview of a chosen import file: problems found, merge or
+   * replace, and what each imported item will do.
+   */
+  function importPreviewHtml() {
+    const { parsed, mode, fileName } = importPreview;
+    const plan = planImport(parsed.items, mode);
+    const updates = plan.filter((entry) => entry.existing).length;
+    const planRows = plan
+      .map(({ item, existing }) => {
+        const quantity = roundQuantity(item.lots.reduce((sum, lot) => sum + lot.quantity, 0));
+        return html`
+            <tr class="border-b last:border-none">
+              <td class="py-1 px-2">${item.name}</td>
+              <td class="py-1 px-2 text-center">${formatQuantity(quantity, item.unit)}</td>
+              <td class="py-1 px-2">${
+                existing
+                  ? `Updates ${existing.name} (${formatQuantity(existing.quantity, existing.unit)} now)`
+                  : "New item"
+              }</td>
+            </tr>`;
+      });
+    const { data } = parsed;
+    const extras = [
+      data.recipes ? `${data.recipes.length} recipe${data.recipes.length === 1 ? "" : "s"}` : "",
+      data.priceData ? `prices for ${Object.keys(data.priceData).length} items` : "",
+      data.history ? `${data.history.length} history event${data.history.length === 1 ? "" : "s"}` : "",
+      data.shoppingList ? `${data.shoppingList.length} shopping list entries` : "",
+      data.mealPlan ? `${data.mealPlan.length} planned meal${data.mealPlan.length === 1 ? "" : "s"}` : "",
+      data.dietProfiles
+        ? `diets for ${data.dietProfiles.length} household member${data.dietProfiles.length === 1 ? "" : "s"}`
+        : "",
+      data.ingredientAliases ? "ingredient aliases" : "",
+      data.pantryStaples ? "pantry staples" : "",
+    ].filter(Boolean);
+    return html`
+        <div class="mt-3 border-t pt-3 text-sm">
+          <div class="font-medium mb-1">Preview of ${fileName}</div>
+          ${
+            parsed.errors.length
+              ? html`<div class="mb-2 p-2 bg-red-50 text-red-700 rounded">
+                  <div class="font-medium">${parsed.errors.length} problem${
+                    parsed.errors.length === 1 ? "" : "s"
+                  }, skipped</div>
+                  <ul class="list-disc list-inside">${parsed.errors.map((error) => html`<li>${error}</li>`)}</ul>
+                </div>`
+              : ""
+          }
+          <div class="mb-2">
+            <label class="mr-3"><input type="radio" name="import-mode" value="merge" class="import-mode mr-1"${
+              mode === "merge" ? " checked" : ""
+            } />Merge by name or barcode</label>
+            <label><input type="radio" name="import-mode" value="replace" class="import-mode mr-1"${
+              mode === "replace" ? " checked" : ""
+            } />Replace everything</label>
+          </div>
+          <p class="mb-2">
+            ${plan.length - updates} new item${plan.length - updates === 1 ? "" : "s"}, ${updates} updated${
+              mode === "replace"
+                ? `; the current ${inventory.length} item${inventory.length === 1 ? "" : "s"} will be removed`
+                : ""
+            }.${extras.length ? ` Also ${mode === "replace" ? "replaces" : "merges"} ${extras.join(", ")}.` : ""}
+          </p>
+          ${
+            plan.length
+              ? html`<div class="max-h-64 overflow-y-auto mb-2">
+                  <table class="w-full text-left">
+                    <thead>
+                      <tr class="border-b font-medium">
+                        <th class="py-1 px-2">Item</th>
+                        <th class="py-1 px-2 text-center">Qty</th>
+                        <th class="py-1 px-2">Change</th>
+                      </tr>
+                    </thead>
+                    <tbody>${planRows}</tbody>
+                  </table>
+                </div>`
+              : ""
+          }
+          <div class="space-x-2">
+            <button id="apply-import" class="bg-blue-600 text-white px-4 py-1 rounded"${
+              plan.length || extras.length ? "" : " disabled"
+            }>Import</button>
+            <button id="cancel-import" class="bg-gray-300 px-3 py-1 rounded">Cancel</button>
+          </div>
         </div>`;
+  }
+
+  /**
+   * Build the backup and import panel, with the preview of a chosen file.
+   */
+  function backupHtml() {
+    return html`
+      <div class="mb-4 p-4 bg-white rounded shadow">
+        <h2 class="text-lg font-semibold mb-2">Backup &amp; Import</h2>
+        <p class="text-sm text-gray-500 mb-2">
+          A backup holds the inventory, recipes, meal plan, prices and history. The CSV
+          has one row per lot and can be edited in a spreadsheet and imported again.
+        </p>
+        <div class="space-x-2 mb-2">
+          <button id="export-backup" class="bg-blue-600 text-white px-4 py-1 rounded">Download backup (JSON)</button>
+          <button id="export-csv" class="bg-gray-300 px-3 py-1 rounded">Export inventory (CSV)</button>
+        </div>
+        <form id="import-form" class="text-sm">
+          <label class="block font-medium">Import a backup or inventory CSV</label>
+          <input type="file" id="import-file" accept=".json,.csv,application/json,text/csv" />
+          <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Preview</button>
+        </form>
+        ${importPreview ? importPreviewHtml() : ""}
+      </div>`;
+  }
+
+  /**
+   * Build the recipe dialog (detail view, editor or import form), or
+   * nothing while it is closed.
+   */
+  function recipeDialogHtml() {
+    if (!recipeDialog) return "";
+    const dialogRecipe = recipes.find((r) => r.id === recipeDialog.recipeId);
+    let dialogBody = "";
+    if (recipeDialog.mode === "view" && dialogRecipe) {
+      dialogBody = recipeDetailHtml(dialogRecipe);
+    } else if (recipeDialog.mode === "edit") {
+      dialogBody = recipeEditorHtml(recipeDialog.draft, recipeDialog.message);
+    } else if (recipeDialog.mode === "import") {
+      dialogBody = recipeImportHtml(recipeDialog.message);
+    }
+    return dialogBody
+      ? html`
+      <div class="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center overflow-y-auto p-4">
+        <div class="bg-white rounded shadow p-4 w-full max-w-2xl">${dialogBody}</div>
+      </div>`
+      : "";
+  }
+
+  /**
+   * Build the item history dialog, or nothing while it is closed.
+   */
+  function historyDialogHtml() {
+    const historyItem = historyItemId && inventory.find((item) => item.id === historyItemId);
+    if (!historyItem) return "";
+    const forecast = getRunOutForecast(historyItem);
+    const eventLabels = {
+      add: "Added",
+      use: "Used",
+      cook: "Cooked",
+      delete: "Removed",
+      adjust: "Adjusted",
+      discard: "Discarded",
+    };
+    const eventRows = getItemHistory(historyItem)
+      .slice()
+      .reverse()
+      .map(
+        (event) => html`
+            <tr class="border-b last:border-none">
+              <td class="py-1 px-2">${new Date(event.at).toLocaleString()}</td>
+              <td class="py-1 px-2">${eventLabels[event.type]}${event.recipe ? ` (${event.recipe})` : ""}${
+                event.reason ? ` (${event.reason})` : ""
+              }</td>
+              <td class="py-1 px-2 text-right">${
+                event.type === "adjust" && event.quantity > 0 ? "+" : ""
+              }${formatQuantity(event.quantity, event.unit)}</td>
+            </tr>`
+      );
+    return html`
+      <div class="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center overflow-y-auto p-4">
+        <div class="bg-white rounded shadow p-4 w-full max-w-2xl">
+          <div class="flex justify-between items-start mb-1">
+            <h2 class="text-xl font-semibold">${historyItem.name} history</h2>
+            <button id="close-history" class="text-gray-600 hover:underline">Close</button>
+          </div>
+          <p class="text-sm text-gray-500 mb-2">${
+            forecast
+              ? `Uses about ${formatQuantity(forecast.perDay * 7, historyItem.unit)} a week; at that rate it runs out around ${forecast.runOutDate.toLocaleDateString()}.`
+              : "Not enough recent use to predict when it runs out."
+          }</p>
+          <table class="w-full text-left text-sm">
+            <tbody>${eventRows.length ? eventRows : html`<tr><td class="py-2 text-center text-gray-500">No history yet</td></tr>`}</tbody>
+          </table>
+        </div>
+      </div>`;
+  }
+
+  /**
+   * Build the undo toast, or nothing while it is hidden.
+   */
+  function toastHtml() {
+    if (!toast) return "";
+    return html`
+      <div id="toast" class="fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-gray-800 text-white text-sm rounded shadow px-4 py-2 z-50">
+        ${toast.message}
+        <button id="toast-undo" class="ml-3 font-semibold text-yellow-300 hover:underline">Undo</button>
+      </div>`;
+  }
+
+  // The page's components in page order. Each has its own container in
+  // #app and is rebuilt only when a part of the state it reads (deps)
+  // has changed (see invalidate); after runs every time it is rebuilt.
+  const COMPONENTS = [
+    {
+      name: "auth",
+      deps: ["user"],
+      html: authHtml,
+      after: () => {
+        const button = document.getElementById("google-signin-button");
+        if (button && !button.childElementCount) PantryAuth.renderButton(button, handleCredentialResponse);
+      },
+    },
+    { name: "household", deps: ["user", "sync"], html: householdHtml },
+    {
+      name: "inventory",
+      deps: ["inventory", "inventoryView", "aliases", "mealPlan", "recipes"],
+      html: inventoryHtml,
+    },
+    { name: "addItem", deps: ["addItem"], html: addItemHtml },
+    { name: "scanner", deps: ["scanner", "inventory", "catalog"], html: scannerHtml },
+    { name: "catalog", deps: ["catalog"], html: catalogHtml },
+    {
+      name: "reminders",
+      deps: ["inventory", "history", "prices", "reminders", "aliases"],
+      html: remindersHtml,
+    },
+    { name: "stats", deps: ["history", "aliases"], html: statsHtml },
+    { name: "waste", deps: ["history", "aliases"], html: wasteHtml },
+    { name: "journal", deps: ["journal"], html: journalHtml },
+    { name: "shopping", deps: ["shopping", "prices", "aliases"], html: shoppingHtml },
+    { name: "prices", deps: ["prices"], html: pricesHtml },
+    {
+      name: "recipes",
+      deps: ["recipes", "recipeView", "inventory", "staples", "aliases", "reminders", "mealPlan", "diets"],
+      html: recipesHtml,
+    },
+    {
+      name: "mealPlan",
+      deps: ["mealPlan", "planView", "recipes", "inventory", "staples", "aliases"],
+      html: mealPlanHtml,
+    },
+    { name: "diets", deps: ["diets"], html: dietsHtml },
+    { name: "aliases", deps: ["aliases"], html: aliasesHtml },
+    { name: "backup", deps: ["backup", "inventory"], html: backupHtml },
+    {
+      name: "recipeDialog",
+      deps: ["recipeDialog", "recipes", "inventory", "staples", "aliases", "mealPlan", "diets"],
+      html: recipeDialogHtml,
+    },
+    { name: "historyDialog", deps: ["historyDialog", "history", "inventory"], html: historyDialogHtml },
+    { name: "toast", deps: ["toast"], html: toastHtml },
+  ];
+
+  // HTML each component was last rendered with, so unchanged ones are
+  // left alone
+  const renderedHtml = new Map();
+
+  /**
+   * Note that parts of the state changed and the components reading them
+   * need rebuilding on the next render. The save helpers note what they
+   * save; "*" marks everything (e.g. after switching user).
+   */
+  function invalidate(...parts) {
+    parts.forEach((part) => dirtyParts.add(part));
+  }
+
+  /**
+   * Key an element is matched by across renders: its id or data-key.
+   */
+  function patchKey(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+    return node.id || node.getAttribute("data-key");
+  }
+
+  /**
+   * Whether an existing node can be patched into a new one rather than
+   * replaced.
+   */
+  function isSameKind(node, wanted) {
+    return (
+      node.nodeType === wanted.nodeType &&
+      node.nodeName === wanted.nodeName &&
+      (node.nodeName !== "INPUT" || node.type === wanted.type)
+    );
+  }
+
+  /**
+   * The value a form control was rendered with, read from its markup:
+   * checked for checkboxes and radios, the selected option's value (null
+   * for the first) for selects. undefined for other elements.
+   */
+  function renderedValue(element) {
+    if (element.nodeName === "INPUT") {
+      if (element.type === "checkbox" || element.type === "radio") return element.hasAttribute("checked");
+      return element.getAttribute("value") || "";
+    }
+    if (element.nodeName === "TEXTAREA") return element.textContent;
+    if (element.nodeName === "SELECT") {
+      const option = element.querySelector("option[selected]");
+      return option ? option.value : null;
+    }
+    return undefined;
+  }
+
+  /**
+   * Set a form control to a new rendered value (see renderedValue).
+   */
+  function setControlValue(element, value) {
+    if (element.nodeName === "SELECT") {
+      if (value === null) element.selectedIndex = 0;
+      else element.value = value;
+    } else if (element.type === "checkbox" || element.type === "radio") {
+      element.checked = value;
+    } else if (element.value !== value) {
+      element.value = value;
+    }
+  }
+
+  /**
+   * Patch one node into the rendered one. A form control keeps what the
+   * user entered unless the value it is rendered with changed. Elements
+   * marked data-external (filled by other code, such as Google's sign-in
+   * button) keep their content.
+   */
+  function patchNode(node, wanted) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      if (node.nodeValue !== wanted.nodeValue) node.nodeValue = wanted.nodeValue;
+      return;
+    }
+    const before = renderedValue(node);
+    Array.from(node.attributes).forEach(({ name }) => {
+      // Whether a <details> is open is up to the user
+      if (name === "open" && node.nodeName === "DETAILS") return;
+      if (!wanted.hasAttribute(name)) node.removeAttribute(name);
+    });
+    Array.from(wanted.attributes).forEach(({ name, value }) => {
+      if (node.getAttribute(name) !== value) node.setAttribute(name, value);
+    });
+    if (!node.hasAttribute("data-external")) patchChildren(node, wanted);
+    const after = renderedValue(node);
+    if (before !== after) setControlValue(node, after);
+  }
+
+  /**
+   * Make parent's children match next's, reusing existing nodes: keyed
+   * elements by key, anything else by position when it is the same kind
+   * of node. New nodes are moved over from next.
+   */
+  function patchChildren(parent, next) {
+    const keyed = new Map();
+    parent.childNodes.forEach((child) => {
+      const key = patchKey(child);
+      if (key) keyed.set(key, child);
+    });
+    let current = parent.firstChild;
+    Array.from(next.childNodes).forEach((wanted) => {
+      const key = patchKey(wanted);
+      let match = null;
+      if (key) {
+        match = keyed.get(key) || null;
+        keyed.delete(key);
+      } else if (current && !patchKey(current) && isSameKind(current, wanted)) {
+        match = current;
+      }
+      if (match && isSameKind(match, wanted)) {
+        if (match === current) current = current.nextSibling;
+        else parent.insertBefore(match, current);
+        patchNode(match, wanted);
+      } else {
+        parent.insertBefore(wanted, current);
+      }
+    });
+    while (current) {
+      const following = current.nextSibling;
+      parent.removeChild(current);
+      current = following;
+    }
+  }
+
+  /**
+   * Make a container's content match new HTML, changing only what differs,
+   * so focus, text being typed, scroll positions and a running camera
+   * survive.
+   */
+  function patchHtml(container, markup) {
+    const template = document.createElement("template");
+    template.innerHTML = markup;
+    patchChildren(container, template.content);
+  }
+
+  /**
+   * Render the application. Each component whose state changed since the
+   * last render (see invalidate), plus those reading any parts passed
+   * here, is rebuilt from its template and patched into the page. With
+   * nothing marked, everything is rebuilt; components whose HTML came out
+   * the same are left alone.
+   */
+  function render(...parts) {
+    invalidate(...parts);
+    if (!app.querySelector("[data-component]")) {
+      app.innerHTML = COMPONENTS.map(({ name }) => `<div data-component="${name}"></div>`).join("");
     }
+    const everything = !dirtyParts.size || dirtyParts.has("*");
+    const changed = new Set(dirtyParts);
+    dirtyParts.clear();
+    COMPONENTS.forEach((component) => {
+      if (!everything && !component.deps.some((dep) => changed.has(dep))) return;
+      const markup = String(component.html());
+      if (renderedHtml.get(component.name) !== markup) {
+        renderedHtml.set(component.name, markup);
+        patchHtml(app.querySelector(`[data-component="${component.name}"]`), markup);
+      }
+      if (component.after) component.after();
+    });
+  }
 
-    // Build inventory table
-    const inventoryRows = inventory
-      .map((item) => {
-        const expireText = item.expirationDate
-          ? new Date(item.expirationDate).toLocaleDateString()
-          : "";
-        return `
-          <tr class="border-b last:border-none">
-            <td class="py-1 px-2">${item.name}</td>
-            <td class="py-1 px-2 text-center">${item.quantity}</td>
-            <td class="py-1 px-2 text-center">${expireText}</td>
-            <td class="py-1 px-2 text-right">
-              <button data-id="${item.id}" class="use-button text-blue-600 hover:underline mr-2">Use</button>
-              <button data-id="${item.id}" class="delete-button text-red-600 hover:underline">Delete</button>
-            </td>
-          </tr>`;
-      })
-      .join("");
-    const inventorySection = `
-      <div class="mb-4 p-4 bg-white rounded shadow">
-        <h2 class="text-lg font-semibold mb-2">Your Inventory</h2>
-        <table class="w-full text-left text-sm">
-          <thead>
-            <tr class="border-b font-medium">
-              <th class="py-1 px-2">Item</th>
-              <th class="py-1 px-2 text-center">Qty</th>
-              <th class="py-1 px-2 text-center">Expires</th>
-              <th class="py-1 px-2 text-right">Actions</th>
-            </tr>
-          </thead>
-          <tbody>${inventoryRows || `<tr><td colspan="4" class="py-2 text-center text-gray-500">No items yet</td></tr>`}</tbody>
-        </table>
-      </div>`;
+  // Event handlers by event type, as [selector, handler] pairs. One
+  // listener per type on #app hands each event to the handlers whose
+  // selector matches the event target or an ancestor, so nothing needs
+  // re-attaching when components re-render.
+  const eventHandlers = { click: [], change: [], input: [], submit: [] };
 
-    // Build add item form
-    const addItemSection = `
-      <div class="mb-4 p-4 bg-white rounded shadow">
-        <h2 class="text-lg font-semibold mb-2">Add Item</h2>
-        <form id="add-form" class="space-y-2">
-          <div>
-            <label class="block text-sm font-medium">Name</label>
-            <input type="text" name="name" required class="w-full p-1 border rounded" />
-          </div>
-          <div>
-            <label class="block text-sm font-medium">Quantity</label>
-            <input type="number" name="quantity" min="1" value="1" required class="w-full p-1 border rounded" />
-          </div>
-          <div>
-            <label class="block text-sm font-medium">Expiration Date</label>
-            <input type="date" name="expirationDate" class="w-full p-1 border rounded" />
-          </div>
-          <div class="flex items-center">
-            <input type="checkbox" name="regular" id="regular" class="mr-2" />
-            <label for="regular" class="text-sm">Mark as regularly used item (notify to restock when quantity reaches 0)</label>
-          </div>
-          <div class="flex items-center space-x-3">
-            <button type="submit" class="bg-blue-600 text-white px-4 py-1 rounded">Add</button>
-            <button type="button" id="scan-button" class="bg-green-600 text-white px-4 py-1 rounded">Scan Barcode</button>
-          </div>
-        </form>
-        <div id="scan-container" class="mt-4 hidden">
-          <div class="mb-2 font-medium">Barcode Scanner</div>
-          <video id="video" class="w-full h-48 bg-black rounded"></video>
-          <p id="scan-status" class="text-sm text-gray-500 mt-2">Scanning… align the barcode within the frame.</p>
-          <button id="stop-scan" class="mt-2 bg-gray-300 px-3 py-1 rounded">Stop</button>
-        </div>
-      </div>`;
+  /**
+   * Handle events of a type on elements matching selector, now or later
+   * rendered. handler(e, element) receives the matching element.
+   */
+  function on(type, selector, handler) {
+    eventHandlers[type].push([selector, handler]);
+  }
 
-    // Build reminders: soon to expire and restock lists
-    const soonItems = getSoonExpiringItems();
-    const soonList = soonItems
-      .map(({ item, daysLeft }) => {
-        const store = getCheapestStoreFor(item.name.toLowerCase());
-        return `<li class="mb-1">${item.name} expires in ${daysLeft >= 0 ? daysLeft : 0} days${
-          store
-            ? ` — cheapest price at <strong>${store.store}</strong> ($${store.price.toFixed(
-                2
-              )})`
-            : ""
-        }</li>`;
-      })
-      .join("");
-    const restock = getRestockItems();
-    const restockList = restock
-      .map((item) => {
-        const store = getCheapestStoreFor(item.name.toLowerCase());
-        return `<li class="mb-1">${item.name}${
-          store
-            ? ` — cheapest price at <strong>${store.store}</strong> ($${store.price.toFixed(
-                2
-              )})`
-            : ""
-        }</li>`;
-      })
-      .join("");
-    const remindersSection = `
-      <div class="mb-4 p-4 bg-white rounded shadow">
-        <h2 class="text-lg font-semibold mb-2">Reminders</h2>
-        <div class="mb-2">
-          <h3 class="font-medium">Soon to expire</h3>
-          <ul class="list-disc list-inside text-sm">${soonList || `<li>None</li>`}</ul>
-        </div>
-        <div>
-          <h3 class="font-medium">Restock</h3>
-          <ul class="list-disc list-inside text-sm">${restockList || `<li>None</li>`}</ul>
-        </div>
-      </div>`;
+  /**
+   * Dispatch an event from #app to the matching handlers.
+   */
+  function handleAppEvent(e) {
+    // Match every handler before running any: a handler that re-renders
+    // can turn the target into a control another selector matches
+    eventHandlers[e.type]
+      .map(([selector, handler]) => [e.target.closest && e.target.closest(selector), handler])
+      .filter(([element]) => element && app.contains(element))
+      .forEach(([element, handler]) => handler(e, element));
+  }
 
-    // Build recipe suggestions table
-    const suggestions = getRecipeSuggestions();
-    const suggestionsRows = suggestions
-      .map(({ recipe, missing }) => {
-        const canCook = missing.length === 0;
-        return `
-          <tr class="border-b last:border-none">
-            <td class="py-1 px-2">${recipe.name}</td>
-            <td class="py-1 px-2">${recipe.ingredients.join(", ")}</td>
-            <td class="py-1 px-2">${
-              missing.length
-                ? `<span class="text-red-600">Missing: ${missing.join(", ")}</span>`
-                : `<span class="text-green-600">All ingredients available</span>`
-            }</td>
-            <td class="py-1 px-2 text-right">
-              <button data-name="${recipe.name}" class="cook-button text-blue-600 hover:underline mr-2" ${
-                canCook ? "" : "disabled"
-              }>Cook</button>
-              <button data-name="${recipe.name}" class="view-button text-gray-600 hover:underline">View</button>
-            </td>
-          </tr>`;
-      })
-      .join("");
-    const recipesSection = `
-      <div class="mb-4 p-4 bg-white rounded shadow">
-        <h2 class="text-lg font-semibold mb-2">Recipe Suggestions</h2>
-        <table class="w-full text-sm">
-          <thead>
-            <tr class="border-b font-medium">
-              <th class="py-1 px-2 w-1/5">Recipe</th>
-              <th class="py-1 px-2 w-2/5">Ingredients</th>
-              <th class="py-1 px-2 w-1/4">Availability</th>
-              <th class="py-1 px-2 text-right w-1/4">Actions</th>
-            </tr>
-          </thead>
-          <tbody>${suggestionsRows}</tbody>
-        </table>
-      </div>`;
+  // Sign out
+  on("click", "#signout", () => signOut(""));
 
-    app.innerHTML = `${authSection}${inventorySection}${addItemSection}${remindersSection}${recipesSection}`;
-
-    // Attach event listeners
-    // Sign out
-    const signoutBtn = document.getElementById("signout");
-    if (signoutBtn) {
-      signoutBtn.addEventListener("click", () => {
-        user = null;
-        localStorage.removeItem("googleUser");
-        render();
-      });
-    }
-    // Add item form submission
-    const addForm = document.getElementById("add-form");
-    addForm.addEventListener("submit", (e) => {
-      e.preventDefault();
-      const formData = new FormData(addForm);
-      const name = formData.get("name").trim();
-      const quantity = parseInt(formData.get("quantity"), 10) || 0;
-      const expirationDate = formData.get("expirationDate");
-      const regular = formData.get("regular") === "on";
-      if (!name) return;
-      inventory.push({
-        id: generateId(),
-        name,
-        quantity,
-        expirationDate: expirationDate || null,
-        barcode: null,
-        regular,
-      });
+  // Household sync
+  on("click", "#sync-create", () => {
+    joinHousehold(generateId());
+    render();
+  });
+  on("submit", "#sync-join-form", (e) => {
+    e.preventDefault();
+    const code = document.getElementById("sync-join-code").value.trim();
+    if (!code) return;
+    joinHousehold(code);
+    render();
+  });
+  on("change", "#sync-server", (e, select) => {
+    syncSettings = { ...syncSettings, server: select.value };
+    PantryStore.set(userKey("syncSettings"), syncSettings);
+    render("sync");
+  });
+  on("change", "#sync-server-url", (e, input) => {
+    syncSettings = { ...syncSettings, serverUrl: input.value.trim() };
+    PantryStore.set(userKey("syncSettings"), syncSettings);
+  });
+  on("click", "#sync-now", () => runSync().then(() => render("sync")));
+  on("click", "#sync-leave", () => {
+    if (!confirm("Stop sharing this pantry? Your items stay on this device.")) return;
+    syncSettings = { ...syncSettings, householdId: null };
+    PantryStore.set(userKey("syncSettings"), syncSettings);
+    PantryStore.remove(userKey("syncState"));
+    startSync();
+    render();
+  });
+
+  // Add item form submission
+  on("submit", "#add-form", (e, addForm) => {
+    e.preventDefault();
+    const formData = new FormData(addForm);
+    const name = formData.get("name").trim();
+    const quantity = parseFloat(formData.get("quantity")) || 0;
+    const unit = UNITS[formData.get("unit")] ? formData.get("unit") : "each";
+    const expirationDate = formData.get("expirationDate");
+    const regular = formData.get("regular") === "on";
+    const category = formData.get("category") || null;
+    const barcode = formData.get("barcode").trim();
+    const location = formData.get("location");
+    const price = parseFloat(formData.get("price"));
+    if (!name) return;
+    const purchase = { name, quantity, unit, expirationDate, location, regular, category, barcode, price };
+    runCommand(`Added ${name}`, () => addInventoryItem(purchase));
+    // Remember the user's details for the next time this barcode is scanned
+    if (normalizeBarcode(barcode)) {
+      learnProduct(purchase);
+      saveCatalog();
+    }
+    addForm.reset();
+    scanMessage = "";
+    render("addItem");
+  });
+
+  // Product catalog: import a dump and forget entries
+  on("submit", "#catalog-import-form", async (e) => {
+    e.preventDefault();
+    const file = document.getElementById("catalog-file").files[0];
+    if (!file) return;
+    const { added, skipped } = importCatalog(await file.text());
+    saveCatalog();
+    alert(`Imported ${added} product${added === 1 ? "" : "s"}${skipped ? `, skipped ${skipped}` : ""}.`);
+    render();
+  });
+  on("click", ".forget-product-button", (e, btn) => {
+    delete productCatalog[btn.getAttribute("data-barcode")];
+    saveCatalog();
+    render();
+  });
+
+  // Item use button
+  on("click", ".use-button", (e, btn) => {
+    const item = inventory.find((itm) => itm.id === btn.getAttribute("data-id"));
+    if (!item) return;
+    runCommand(`Used ${item.name}`, () => {
+      // Take one unit from the earliest-expiring lot
+      const used = consumeFromItem(item, 1);
       saveInventory();
-      addForm.reset();
-      render();
+      if (used) logEvent("use", item, used);
+      // A regular item that just ran out goes straight on the shopping list
+      if (item.regular && item.quantity <= 0) {
+        addRestockToShoppingList([{ item, source: "restock" }]);
+        saveShoppingList();
+      }
     });
-    // Item use button
-    document.querySelectorAll(".use-button").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
-        const id = btn.getAttribute("data-id");
-        const item = inventory.find((itm) => itm.id === id);
-        if (item) {
-          if (item.quantity > 0) item.quantity -= 1;
-          saveInventory();
-          render();
-        }
+    render();
+  });
+
+  // Quantity controls: + puts one back, the box sets the total
+  on("click", ".add-one-button", (e, btn) => {
+    const item = inventory.find((itm) => itm.id === btn.getAttribute("data-id"));
+    if (!item) return;
+    runCommand(`Added one ${item.name}`, () => {
+      setItemQuantity(item, item.quantity + 1);
+      saveInventory();
+    });
+    render();
+  });
+  on("change", ".qty-input", (e, input) => {
+    const item = inventory.find((itm) => itm.id === input.getAttribute("data-id"));
+    const quantity = parseFloat(input.value);
+    if (!item || !(quantity >= 0)) {
+      // Put back what was there
+      if (item) input.value = item.quantity;
+      return;
+    }
+    runCommand(`Set ${item.name} to ${formatQuantity(quantity, item.unit)}`, () => {
+      setItemQuantity(item, quantity);
+      saveInventory();
+      if (item.regular && item.quantity <= 0) {
+        addRestockToShoppingList([{ item, source: "restock" }]);
+        saveShoppingList();
+      }
+    });
+    render();
+  });
+
+  // Inline item editor
+  on("click", ".edit-button", (e, btn) => {
+    editingItemId = btn.getAttribute("data-id");
+    render("inventoryView");
+  });
+  on("submit", "#edit-item-form", (e, editItemForm) => {
+    e.preventDefault();
+    const item = inventory.find((itm) => itm.id === editItemForm.getAttribute("data-id"));
+    if (!item) return;
+    const formData = new FormData(editItemForm);
+    const name = formData.get("name").trim();
+    if (!name) return;
+    const unit = UNITS[formData.get("unit")] ? formData.get("unit") : item.unit;
+    runCommand(`Edited ${item.name}`, () => {
+      item.name = name;
+      item.category = formData.get("category") || null;
+      item.barcode = normalizeBarcode(formData.get("barcode")) || null;
+      item.regular = formData.get("regular") === "on";
+      const before = item.quantity;
+      editItemForm.querySelectorAll("[data-lot]").forEach((row) => {
+        const lot = item.lots.find((l) => l.id === row.getAttribute("data-lot"));
+        if (!lot) return;
+        const quantity = parseFloat(row.querySelector('[name="lot-quantity"]').value);
+        if (quantity >= 0) lot.quantity = roundQuantity(quantity);
+        const location = row.querySelector('[name="lot-location"]').value;
+        if (LOCATIONS.includes(location)) lot.location = location;
+        lot.purchaseDate = row.querySelector('[name="lot-purchase"]').value || null;
+        lot.expirationDate = row.querySelector('[name="lot-expiration"]').value || null;
       });
+      syncItemTotals(item);
+      if (item.quantity !== before) logEvent("adjust", item, item.quantity - before);
+      // Changing the unit converts what's there when it can, otherwise it
+      // corrects a unit that was entered wrong
+      if (unit !== item.unit) {
+        const from = item.unit;
+        item.lots.forEach((lot) => {
+          const converted = convertQuantity(lot.quantity, from, unit, item.name);
+          if (converted !== null) lot.quantity = roundQuantity(converted);
+        });
+        item.unit = unit;
+        syncItemTotals(item);
+      }
+      saveInventory();
     });
-    // Item delete button
-    document.querySelectorAll(".delete-button").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
-        const id = btn.getAttribute("data-id");
-        inventory = inventory.filter((itm) => itm.id !== id);
-        saveInventory();
-        render();
-      });
-    });
-    // Recipe view button
-    document.querySelectorAll(".view-button").forEach((btn) => {
-      btn.addEventListener("click", () => {
-        const recipeName = btn.getAttribute("data-name");
-        const recipe = recipes.find((r) => r.name === recipeName);
-        if (recipe) {
-          // Simple alert to show instructions; you may replace this with a modal
-          alert(`${recipe.name}\n\nIngredients:\n${recipe.ingredients.join(
-            ", "
-          )}\n\nInstructions:\n${recipe.instructions}`);
-        }
+    editingItemId = null;
+    render("inventoryView");
+  });
+  on("click", "#cancel-edit", () => {
+    editingItemId = null;
+    render("inventoryView");
+  });
+
+  // Inventory search, sort, filter chips and paging. The search box stays
+  // in place while the table updates, so typing isn't interrupted.
+  on("input", "#inventory-search", (e, input) => {
+    inventoryView.search = input.value;
+    inventoryShown = INVENTORY_PAGE;
+    render("inventoryView");
+  });
+  on("change", "#inventory-sort", (e, select) => {
+    inventoryView.sort = select.value;
+    render("inventoryView");
+  });
+  on("click", ".filter-chip", (e, btn) => {
+    inventoryView[btn.getAttribute("data-filter")] = btn.getAttribute("data-value");
+    inventoryShown = INVENTORY_PAGE;
+    render("inventoryView");
+  });
+  on("click", "#inventory-more", () => {
+    inventoryShown += INVENTORY_PAGE;
+    render("inventoryView");
+  });
+
+  // Item history dialog and restock lead time
+  on("click", ".history-button", (e, btn) => {
+    historyItemId = btn.getAttribute("data-id");
+    render("historyDialog");
+  });
+  on("click", "#close-history", () => {
+    historyItemId = null;
+    render("historyDialog");
+  });
+  on("change", "#restock-lead-days", (e, input) => {
+    restockLeadDays = Math.max(0, parseInt(input.value, 10) || 0);
+    PantryStore.set(userKey("restockLeadDays"), restockLeadDays);
+    render("reminders");
+  });
+
+  // Notification settings
+  on("click", "#enable-notifications", async () => {
+    if (await enableNotifications()) render();
+  });
+  on("click", "#disable-notifications", () => {
+    notificationSettings.enabled = false;
+    saveNotificationSettings();
+    render();
+  });
+  on("change", "#notification-settings", (e) => {
+    const { target } = e;
+    const value = parseInt(target.value, 10);
+    if (target.id === "default-lead-days") {
+      notificationSettings.defaultLeadDays = Math.max(0, value || 0);
+    } else if (target.classList.contains("lead-days-input")) {
+      const leadDays = { ...notificationSettings.leadDays };
+      if (target.value === "") delete leadDays[target.getAttribute("data-category")];
+      else leadDays[target.getAttribute("data-category")] = Math.max(0, value || 0);
+      notificationSettings.leadDays = leadDays;
+    } else if (target.id === "quiet-start") {
+      notificationSettings.quietStart = value;
+    } else if (target.id === "quiet-end") {
+      notificationSettings.quietEnd = value;
+    } else if (target.id === "notification-digest") {
+      notificationSettings.digest = target.checked;
+    } else if (target.id === "digest-hour") {
+      notificationSettings.digestHour = value;
+    }
+    saveNotificationSettings();
+    render();
+  });
+
+  // Lot breakdown: expand/collapse, move and remove lots
+  on("click", ".lots-toggle", (e, btn) => {
+    const id = btn.getAttribute("data-id");
+    if (expandedItems.has(id)) expandedItems.delete(id);
+    else expandedItems.add(id);
+    render("inventoryView");
+  });
+  on("change", ".lot-location", (e, select) => {
+    const item = inventory.find((itm) => itm.id === select.getAttribute("data-id"));
+    const lot = item && item.lots.find((l) => l.id === select.getAttribute("data-lot"));
+    if (!lot) return;
+    runCommand(`Moved ${item.name} to the ${select.value}`, () => {
+      lot.location = select.value;
+      saveInventory();
+    });
+    render();
+  });
+  on("click", ".remove-lot-button", (e, btn) => {
+    const item = inventory.find((itm) => itm.id === btn.getAttribute("data-id"));
+    const lot = item && item.lots.find((l) => l.id === btn.getAttribute("data-lot"));
+    if (!lot) return;
+    runCommand(`Removed a lot of ${item.name}`, () => {
+      item.lots = item.lots.filter((l) => l !== lot);
+      syncItemTotals(item);
+      saveInventory();
+      logEvent("delete", item, lot.quantity);
+    });
+    showUndoToast(`Removed ${formatQuantity(lot.quantity, item.unit)} of ${item.name}`);
+    render();
+  });
+
+  // Item discard form: open, cancel and throw out
+  on("click", ".discard-button", (e, btn) => {
+    discardingItemId = btn.getAttribute("data-id");
+    render("inventoryView");
+  });
+  on("click", ".cancel-discard", () => {
+    discardingItemId = null;
+    render("inventoryView");
+  });
+  on("submit", ".discard-form", (e, discardForm) => {
+    e.preventDefault();
+    const item = inventory.find((itm) => itm.id === discardForm.getAttribute("data-id"));
+    if (!item) return;
+    const formData = new FormData(discardForm);
+    const amount = Math.min(item.quantity, parseFloat(formData.get("quantity")) || 0);
+    const reason = DISCARD_REASONS.includes(formData.get("reason")) ? formData.get("reason") : "spoiled";
+    if (amount <= 0) return;
+    runCommand(`Discarded ${item.name} (${reason})`, () => discardFromItem(item, amount, reason));
+    discardingItemId = null;
+    showUndoToast(`Discarded ${formatQuantity(amount, item.unit)} of ${item.name}`);
+    render();
+  });
+
+  // Item delete button
+  on("click", ".delete-button", (e, btn) => {
+    const id = btn.getAttribute("data-id");
+    const item = inventory.find((itm) => itm.id === id);
+    if (!item) return;
+    runCommand(`Deleted ${item.name}`, () => {
+      inventory = inventory.filter((itm) => itm.id !== id);
+      saveInventory();
+      logEvent("delete", item, item.quantity);
+    });
+    showUndoToast(`Deleted ${item.name}`);
+    render();
+  });
+
+  // Shopping list: restock, manual entries, check off, remove and export
+  on("click", "#shopping-restock", () => {
+    const items = getRestockItems()
+      .map((item) => ({ item, source: "restock" }))
+      .concat(
+        getSoonExpiringItems()
+          .filter(({ item }) => item.regular)
+          .map(({ item }) => ({ item, source: "expiring" }))
+      );
+    if (!addRestockToShoppingList(items)) {
+      alert("Nothing to restock right now.");
+      return;
+    }
+    saveShoppingList();
+    render();
+  });
+  on("submit", "#shopping-form", (e, shoppingForm) => {
+    e.preventDefault();
+    const parsed = parseIngredientLine(new FormData(shoppingForm).get("entry"));
+    if (!parsed.name) return;
+    addToShoppingList({
+      name: parsed.name,
+      quantity: parsed.amount,
+      unit: parsed.unit,
+      source: "manual",
+    });
+    saveShoppingList();
+    shoppingForm.reset();
+    render();
+  });
+  on("change", ".shopping-check", (e, box) => {
+    const entry = shoppingList.find((en) => en.id === box.getAttribute("data-id"));
+    if (!entry) return;
+    const answer = prompt(
+      `Adding ${entry.name} to your inventory.\nExpiration date (YYYY-MM-DD), or leave blank for none:`,
+      ""
+    );
+    // Stored as YYYY-MM-DD, whatever date format was typed (see importedDate)
+    const expirationDate = answer === null ? undefined : importedDate(answer);
+    // Cancelled or invalid: leave the entry unchecked
+    if (expirationDate === undefined) {
+      if (answer !== null) alert("Please enter the date as YYYY-MM-DD.");
+      box.checked = false;
+      return;
+    }
+    runCommand(`Bought ${entry.name}`, () => {
+      addInventoryItem({
+        name: entry.name,
+        quantity: entry.quantity,
+        unit: entry.unit,
+        expirationDate,
+        regular: entry.regular,
+        category: entry.category,
       });
+      entry.checked = true;
+      saveShoppingList();
     });
-    // Recipe cook button
-    document.querySelectorAll(".cook-button").forEach((btn) => {
-      if (btn.getAttribute("disabled") !== null) return;
-      btn.addEventListener("click", () => {
-        const recipeName = btn.getAttribute("data-name");
-        const recipe = recipes.find((r) => r.name === recipeName);
-        if (!recipe) return;
-        // Deduct 1 quantity of each ingredient used
-        recipe.ingredients.forEach((ing) => {
-          const item = inventory.find(
-            (itm) => itm.name.toLowerCase() === ing.toLowerCase()
-          );
-          if (item && item.quantity > 0) item.quantity -= 1;
+    render();
+  });
+  on("click", ".shopping-remove", (e, btn) => {
+    const entry = shoppingList.find((en) => en.id === btn.getAttribute("data-id"));
+    if (!entry) return;
+    runCommand(`Removed ${entry.name} from the shopping list`, () => {
+      shoppingList = shoppingList.filter((en) => en.id !== entry.id);
+      saveShoppingList();
+    });
+    showUndoToast(`Removed ${entry.name} from the shopping list`);
+    render();
+  });
+  on("click", "#shopping-clear", () => {
+    const checked = shoppingList.filter((entry) => entry.checked).length;
+    if (!checked) return;
+    runCommand("Cleared checked shopping list entries", () => {
+      shoppingList = shoppingList.filter((entry) => !entry.checked);
+      saveShoppingList();
+    });
+    showUndoToast(`Cleared ${checked} checked entr${checked === 1 ? "y" : "ies"}`);
+    render();
+  });
+  on("click", "#shopping-export-text", () => {
+    downloadFile("shopping-list.txt", formatShoppingList("text"), "text/plain");
+  });
+  on("click", "#shopping-export-md", () => {
+    downloadFile("shopping-list.md", formatShoppingList("markdown"), "text/markdown");
+  });
+  on("change", "#basket-max-stores", (e, select) => {
+    basketMaxStores = select.value === "any" ? Infinity : parseInt(select.value, 10);
+    render("shopping");
+  });
+
+  // Price book: manual entry and CSV import
+  on("submit", "#price-form", (e, priceForm) => {
+    e.preventDefault();
+    const formData = new FormData(priceForm);
+    const item = formData.get("item").trim();
+    const price = parseFloat(formData.get("price"));
+    if (!item || !(price >= 0)) return;
+    addPriceRecord(item, {
+      store: formData.get("store").trim(),
+      price,
+      size: parseFloat(formData.get("size")) || 1,
+      unit: UNITS[formData.get("unit")] ? formData.get("unit") : "each",
+      observedOn: formData.get("observedOn") || toDateInputValue(new Date()),
+    });
+    savePrices();
+    priceForm.reset();
+    render();
+  });
+  on("change", "#price-file", async (e, input) => {
+    const file = input.files[0];
+    if (file) document.querySelector("#price-import-form textarea").value = await file.text();
+  });
+  on("submit", "#price-import-form", (e, priceImportForm) => {
+    e.preventDefault();
+    const { added, errors } = importPricesFromCsv(new FormData(priceImportForm).get("csv"));
+    if (added) {
+      savePrices();
+      priceImportForm.reset();
+    }
+    alert(
+      `Imported ${added} price${added === 1 ? "" : "s"}.${
+        errors.length ? `\n\nSkipped rows:\n${errors.join("\n")}` : ""
+      }`
+    );
+    render();
+  });
+
+  // Undo, redo and the change journal
+  const undoLast = () => {
+    undo();
+    hideToast();
+    render();
+  };
+  on("click", "#undo-button", undoLast);
+  on("click", "#toast-undo", undoLast);
+  on("click", "#redo-button", () => {
+    redo();
+    render();
+  });
+  on("click", "#journal-more", () => {
+    journalShown += 50;
+    render("journal");
+  });
+
+  // Backup, CSV export and import with preview
+  on("click", "#export-backup", () => {
+    downloadFile(
+      `smart-pantry-backup-${toDateInputValue(new Date())}.json`,
+      JSON.stringify(buildBackup(), null, 2),
+      "application/json"
+    );
+  });
+  on("click", "#export-csv", () => {
+    downloadFile(`smart-pantry-inventory-${toDateInputValue(new Date())}.csv`, inventoryToCsv(), "text/csv");
+  });
+  on("submit", "#import-form", async (e) => {
+    e.preventDefault();
+    const file = document.getElementById("import-file").files[0];
+    if (!file) return;
+    importPreview = { fileName: file.name, parsed: parseImport(await file.text()), mode: "merge" };
+    render("backup");
+  });
+  on("change", ".import-mode", (e, radio) => {
+    importPreview.mode = radio.value;
+    render("backup");
+  });
+  on("click", "#apply-import", () => {
+    const { parsed, mode, fileName } = importPreview;
+    if (mode === "replace" && !confirm("Replace your whole pantry with this import?")) return;
+    const plan = runCommand(`Imported ${fileName}`, () => applyImport(parsed, mode));
+    importPreview = null;
+    alert(`Imported ${plan.length} item${plan.length === 1 ? "" : "s"}.`);
+    render();
+  });
+  on("click", "#cancel-import", () => {
+    importPreview = null;
+    render("backup");
+  });
+
+  // Recipe "add missing to list" buttons
+  on("click", ".list-recipe-button", (e, btn) => {
+    const recipe = recipes.find((r) => r.id === btn.getAttribute("data-id"));
+    if (!recipe) return;
+    if (!addRecipeToShoppingList(recipe)) {
+      alert(`You already have everything for ${recipe.name}.`);
+      return;
+    }
+    saveShoppingList();
+    render();
+  });
+
+  // Suggestion filters and paging
+  on("change", "#filter-cookable", (e, box) => {
+    suggestionFilters.cookableOnly = box.checked;
+    suggestionsShown = SUGGESTIONS_PAGE;
+    render("recipeView");
+  });
+  on("change", "#filter-max-missing", (e, input) => {
+    const value = parseInt(input.value, 10);
+    suggestionFilters.maxMissing = Number.isNaN(value) ? null : Math.max(0, value);
+    suggestionsShown = SUGGESTIONS_PAGE;
+    render("recipeView");
+  });
+  on("change", "#filter-diets", (e, box) => {
+    suggestionFilters.suitsEveryone = box.checked;
+    suggestionsShown = SUGGESTIONS_PAGE;
+    render("recipeView");
+  });
+  on("change", "#filter-tag", (e, select) => {
+    suggestionFilters.tag = select.value;
+    suggestionsShown = SUGGESTIONS_PAGE;
+    render("recipeView");
+  });
+  on("click", "#suggestions-more", () => {
+    suggestionsShown += SUGGESTIONS_PAGE;
+    render("recipeView");
+  });
+
+  // Pantry staples
+  on("submit", "#staple-form", (e, stapleForm) => {
+    e.preventDefault();
+    const staple = normalizeName(new FormData(stapleForm).get("staple"));
+    if (!staple || pantryStaples.includes(staple)) return;
+    pantryStaples.push(staple);
+    saveStaples();
+    stapleForm.reset();
+    render();
+  });
+  on("click", ".remove-staple-button", (e, btn) => {
+    pantryStaples = pantryStaples.filter((s) => s !== btn.getAttribute("data-staple"));
+    saveStaples();
+    render();
+  });
+
+  // Recipe dialog: view, new, import, close, edit and delete
+  on("click", ".view-button", (e, btn) => {
+    recipeDialog = { mode: "view", recipeId: btn.getAttribute("data-id") };
+    render("recipeDialog");
+  });
+  on("click", "#new-recipe-button", () => {
+    recipeDialog = { mode: "edit", recipeId: null, draft: normalizeRecipe({}) };
+    render("recipeDialog");
+  });
+  on("click", "#import-recipe-button", () => {
+    recipeDialog = { mode: "import" };
+    render("recipeDialog");
+  });
+  on("click", ".close-dialog-button", () => {
+    recipeDialog = null;
+    render("recipeDialog");
+  });
+  on("click", ".edit-recipe-button", (e, btn) => {
+    const recipe = recipes.find((r) => r.id === btn.getAttribute("data-id"));
+    if (!recipe) return;
+    recipeDialog = { mode: "edit", recipeId: recipe.id, draft: recipe };
+    render("recipeDialog");
+  });
+  on("click", ".delete-recipe-button", (e, btn) => {
+    const id = btn.getAttribute("data-id");
+    const recipe = recipes.find((r) => r.id === id);
+    if (!recipe || !confirm(`Delete the recipe "${recipe.name}"?`)) return;
+    runCommand(`Deleted recipe ${recipe.name}`, () => {
+      recipes = recipes.filter((r) => r.id !== id);
+      saveRecipes();
+      mealPlan = mealPlan.filter((meal) => meal.recipeId !== id);
+      saveMealPlan();
+    });
+    recipeDialog = null;
+    showUndoToast(`Deleted recipe ${recipe.name}`);
+    render("recipeDialog");
+  });
+
+  // Recipe editor form
+  on("submit", "#recipe-form", (e, recipeForm) => {
+    e.preventDefault();
+    const formData = new FormData(recipeForm);
+    const lines = (field) =>
+      formData
+        .get(field)
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+    const recipe = normalizeRecipe({
+      id: recipeDialog.recipeId,
+      name: formData.get("name"),
+      servings: formData.get("servings"),
+      prepTime: formData.get("prepTime"),
+      tags: formData.get("tags").split(","),
+      ingredients: lines("ingredients"),
+      steps: lines("steps"),
+    });
+    const index = recipes.findIndex((r) => r.id === recipe.id);
+    runCommand(`${index >= 0 ? "Edited" : "Added"} recipe ${recipe.name}`, () => {
+      if (index >= 0) recipes[index] = recipe;
+      else recipes.push(recipe);
+      saveRecipes();
+    });
+    recipeDialog = { mode: "view", recipeId: recipe.id };
+    render("recipeDialog");
+  });
+
+  // Recipe import form: parse the pasted JSON-LD and open it for review
+  on("submit", "#import-recipe-form", (e, importRecipeForm) => {
+    e.preventDefault();
+    const source = new FormData(importRecipeForm).get("source");
+    try {
+      const [first, ...others] = importRecipesFromText(source);
+      // A page with several recipes: keep the rest, review the first
+      if (others.length) {
+        runCommand(`Imported ${others.length} recipe${others.length === 1 ? "" : "s"}`, () => {
+          recipes.push(...others);
+          saveRecipes();
         });
-        saveInventory();
-        render();
-      });
-    });
-    // Barcode scanning button
-    const scanButton = document.getElementById("scan-button");
-    const scanContainer = document.getElementById("scan-container");
-    const videoElement = document.getElementById("video");
-    const scanStatus = document.getElementById("scan-status");
-    const stopScanBtn = document.getElementById("stop-scan");
-    let barcodeReader = null;
-    let stream = null;
-    scanButton.addEventListener("click", async () => {
-      scanContainer.classList.remove("hidden");
-      // Initialize the ZXing barcode reader if not already created
-      if (!barcodeReader) {
-        try {
-          barcodeReader = new ZXing.BrowserMultiFormatReader();
-        } catch (err) {
-          console.error("Barcode reader init failed", err);
-          scanStatus.textContent = "Barcode scanner not supported in this browser.";
-          return;
-        }
       }
-      // Start camera
+      recipeDialog = {
+        mode: "edit",
+        recipeId: null,
+        draft: first,
+        message: `Imported "${first.name}". Review and save it to add it to your recipe book.${
+          others.length ? ` ${others.length} more recipe(s) on the page were added directly.` : ""
+        }`,
+      };
+    } catch (err) {
+      recipeDialog = { mode: "import", message: err.message };
+    }
+    render("recipeDialog");
+  });
+
+  // Recipe cook button (disabled buttons don't receive clicks)
+  on("click", ".cook-button", (e, btn) => {
+    const recipe = recipes.find((r) => r.id === btn.getAttribute("data-id"));
+    if (!recipe) return;
+    const short = cookRecipe(recipe, recipe.servings);
+    if (short.length) {
+      alert(`Not enough ${short.map((c) => c.ingredient.name).join(", ")} to cook ${recipe.name}.`);
+      render();
+      return;
+    }
+    showUndoToast(`Cooked ${recipe.name}`);
+    render();
+  });
+
+  // Meal plan: plan a recipe, change servings, cook or remove a meal,
+  // move between weeks, list what's missing and export the week
+  on("submit", "#meal-form", (e, mealForm) => {
+    e.preventDefault();
+    const formData = new FormData(mealForm);
+    const recipe = recipes.find((r) => r.id === formData.get("recipeId"));
+    if (!recipe) return;
+    runCommand(`Planned ${recipe.name}`, () => {
+      mealPlan.push({
+        id: generateId(),
+        date: formData.get("date"),
+        recipeId: recipe.id,
+        servings: Math.max(1, parseInt(formData.get("servings"), 10) || recipe.servings),
+        cooked: false,
+      });
+      saveMealPlan();
+    });
+    mealForm.reset();
+    render();
+  });
+  on("change", ".meal-servings", (e, input) => {
+    const meal = mealPlan.find((m) => m.id === input.getAttribute("data-id"));
+    const servings = parseInt(input.value, 10);
+    if (meal && servings >= 1) {
+      const recipe = recipes.find((r) => r.id === meal.recipeId);
+      const label = `Set ${recipe ? recipe.name : "a meal"} to ${servings} serving${servings === 1 ? "" : "s"}`;
+      runCommand(label, () => {
+        meal.servings = servings;
+        saveMealPlan();
+      });
+    }
+    render();
+  });
+  on("click", ".cook-meal-button", (e, btn) => {
+    const meal = mealPlan.find((m) => m.id === btn.getAttribute("data-id"));
+    const recipe = meal && recipes.find((r) => r.id === meal.recipeId);
+    if (!recipe) return;
+    const short = cookRecipe(recipe, meal.servings, meal);
+    if (short.length) {
+      alert(`Not enough ${short.map((c) => c.ingredient.name).join(", ")} to cook ${recipe.name}.`);
+      return;
+    }
+    showUndoToast(`Cooked ${recipe.name}`);
+    render();
+  });
+  on("click", ".remove-meal-button", (e, btn) => {
+    const meal = mealPlan.find((m) => m.id === btn.getAttribute("data-id"));
+    if (!meal) return;
+    const recipe = recipes.find((r) => r.id === meal.recipeId);
+    const label = `Removed ${recipe ? recipe.name : "a meal"} from the meal plan`;
+    runCommand(label, () => {
+      mealPlan = mealPlan.filter((m) => m.id !== meal.id);
+      saveMealPlan();
+    });
+    showUndoToast(label);
+    render();
+  });
+  on("click", "#plan-prev-week", () => {
+    planWeek = addDays(planWeek, -7);
+    render("planView");
+  });
+  on("click", "#plan-next-week", () => {
+    planWeek = addDays(planWeek, 7);
+    render("planView");
+  });
+  on("click", "#plan-this-week", () => {
+    planWeek = weekStartOf(new Date());
+    render("planView");
+  });
+  on("click", "#plan-to-list-button", () => {
+    if (!addMealPlanToShoppingList(planWeek)) return;
+    saveShoppingList();
+    render();
+  });
+  on("click", "#export-plan-ics", () => {
+    downloadFile(`meal-plan-${planWeek}.ics`, mealPlanToIcs(planWeek), "text/calendar");
+  });
+
+  // Ingredient aliases
+  on("submit", "#alias-form", (e, aliasForm) => {
+    e.preventDefault();
+    const formData = new FormData(aliasForm);
+    const alias = normalizeName(formData.get("alias"));
+    const canonical = normalizeName(formData.get("canonical"));
+    if (!alias || !canonical || alias === canonical) return;
+    ingredientAliases[alias] = canonical;
+    saveAliases();
+    aliasForm.reset();
+    render();
+  });
+  on("click", ".remove-alias-button", (e, btn) => {
+    delete ingredientAliases[btn.getAttribute("data-alias")];
+    saveAliases();
+    render();
+  });
+
+  // Household diets
+  on("submit", "#diet-profile-form", (e, profileForm) => {
+    e.preventDefault();
+    const formData = new FormData(profileForm);
+    const name = formData.get("name").trim();
+    if (!name) return;
+    dietProfiles.push({ id: generateId(), name, diets: formData.getAll("diets") });
+    saveDietProfiles();
+    profileForm.reset();
+    render();
+  });
+  on("change", ".diet-toggle", (e, box) => {
+    const profile = dietProfiles.find((p) => p.id === box.getAttribute("data-id"));
+    if (!profile) return;
+    const diet = box.getAttribute("data-diet");
+    profile.diets = box.checked ? [...profile.diets, diet] : profile.diets.filter((d) => d !== diet);
+    saveDietProfiles();
+    render();
+  });
+  on("click", ".remove-diet-profile-button", (e, btn) => {
+    dietProfiles = dietProfiles.filter((p) => p.id !== btn.getAttribute("data-id"));
+    saveDietProfiles();
+    render();
+  });
+
+  // Barcode scanning: one code to fill in the add form. The reader lives
+  // outside the components, so re-rendering never orphans a running scan.
+  on("click", "#scan-button", async () => {
+    if (singleScan) return;
+    singleScan = { status: "Scanning… align the barcode within the frame." };
+    render("scanner");
+    // Initialize the ZXing barcode reader if not already created
+    if (!barcodeReader) {
       try {
-        // Use default camera; you may choose a specific device by passing its deviceId
-        const result = await barcodeReader.decodeOnceFromVideoDevice(null, videoElement);
-        // result.text contains the scanned barcode value
-        scanStatus.textContent = `Scanned code: ${result.text}. Populating name field.`;
-        // Populate the name field with scanned code; in a real app, you would
-        // look up the product info from a database using the barcode
-        const nameInput = addForm.querySelector("input[name='name']");
-        nameInput.value = result.text;
-        // Stop the camera
-        barcodeReader.reset();
-        scanContainer.classList.add("hidden");
+        barcodeReader = new ZXing.BrowserMultiFormatReader();
       } catch (err) {
-        console.error(err);
-        scanStatus.textContent = "Scanning cancelled or failed.";
+        console.error("Barcode reader init failed", err);
+        singleScan.status = "Barcode scanner not supported in this browser.";
+        render("scanner");
+        return;
       }
-    });
-    // Stop scanning
-    stopScanBtn.addEventListener("click", () => {
-      if (barcodeReader) barcodeReader.reset();
-      scanContainer.classList.add("hidden");
-    });
+    }
+    try {
+      // Use default camera; you may choose a specific device by passing its deviceId
+      const result = await barcodeReader.decodeOnceFromVideoDevice(null, document.getElementById("video"));
+      // Stop the camera
+      barcodeReader.reset();
+      singleScan = null;
+      render("scanner");
+      // result.text contains the scanned barcode value; look it up in the
+      // product catalog and pre-fill the form
+      const message = applyScannedBarcode(result.text, document.getElementById("add-form"));
+      if (message) {
+        scanMessage = message;
+        render("addItem");
+      }
+    } catch (err) {
+      console.error(err);
+      // Stopped by the user, or the camera failed
+      if (!singleScan) return;
+      singleScan.status = "Scanning cancelled or failed.";
+      render("scanner");
+    }
+  });
+  on("click", "#stop-scan", () => {
+    singleScan = null;
+    if (barcodeReader) barcodeReader.reset();
+    render("scanner");
+  });
 
-    // Render Google sign‑in button if user not signed in
-    if (!user && window.google && google.accounts && google.accounts.id) {
-      // Delay rendering of button until container exists
-      google.accounts.id.initialize({
-        client_id: "YOUR_GOOGLE_CLIENT_ID.apps.googleusercontent.com",
-        callback: handleCredentialResponse,
-      });
-      google.accounts.id.renderButton(document.getElementById("google-signin-button"), {
-        theme: "outline",
-        size: "large",
-        type: "standard",
+  // Batch scanning session
+  on("click", "#batch-button", () => {
+    if (batchScan) return;
+    batchScan = {
+      counts: {},
+      names: {},
+      lastRead: {},
+      order: [],
+      devices: [],
+      deviceId: null,
+      reader: null,
+      status: "Scanning… show each item's barcode to the camera.",
+    };
+    render("scanner");
+    startBatchCamera();
+    // List the available cameras so the user can pick one
+    if (navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+      navigator.mediaDevices.enumerateDevices().then((devices) => {
+        if (!batchScan) return;
+        batchScan.devices = devices
+          .filter((device) => device.kind === "videoinput")
+          .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+        render("scanner");
       });
     }
-  }
+  });
+  on("change", "#batch-device", (e, select) => {
+    stopBatchCamera();
+    batchScan.deviceId = select.value || null;
+    startBatchCamera();
+  });
+  on("change", "#batch-image", async (e, input) => {
+    const file = input.files[0];
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    try {
+      const result = await new ZXing.BrowserMultiFormatReader().decodeFromImageUrl(url);
+      recordBatchCode(result.getText ? result.getText() : result.text, true);
+    } catch (err) {
+      console.error(err);
+      batchScan.status = "No barcode found in that image.";
+    } finally {
+      URL.revokeObjectURL(url);
+      input.value = "";
+    }
+    render("scanner");
+  });
+  // Count buttons and names for unknown codes
+  on("click", ".batch-step", (e, btn) => {
+    const barcode = btn.getAttribute("data-barcode");
+    batchScan.counts[barcode] = Math.max(0, batchScan.counts[barcode] + Number(btn.getAttribute("data-step")));
+    if (!batchScan.counts[barcode]) {
+      delete batchScan.counts[barcode];
+      batchScan.order = batchScan.order.filter((code) => code !== barcode);
+    }
+    render("scanner");
+  });
+  on("input", ".batch-name", (e, input) => {
+    batchScan.names[input.getAttribute("data-barcode")] = input.value;
+  });
+  on("click", "#batch-commit", () => {
+    stopBatchCamera();
+    const touched = runCommand("Added scanned products", commitBatch);
+    batchScan = null;
+    render();
+    alert(`Added ${touched} product${touched === 1 ? "" : "s"} to your inventory.`);
+  });
+  on("click", "#batch-cancel", () => {
+    const scanned = batchScan.order.length;
+    if (scanned && !confirm(`Discard ${scanned} scanned product${scanned === 1 ? "" : "s"}?`)) return;
+    stopBatchCamera();
+    batchScan = null;
+    render("scanner");
+  });
 
   /**
-   * Handle Google sign‑in credential response. Decodes the JWT payload
-   * to extract basic profile information (name and email). Stores the
-   * information in localStorage and triggers a re-render.
+   * Handle Google sign‑in credential response. The ID token is verified
+   * before the user is signed in; a token for the user who is already
+   * signed in (a silent refresh) just renews the session. Switching user
+   * loads that user's pantry.
    */
-  function handleCredentialResponse(response) {
+  async function handleCredentialResponse(response) {
+    let payload;
     try {
-      const payload = JSON.parse(atob(response.credential.split(".")[1]));
-      user = {
-        name: payload.name,
-        email: payload.email,
-        sub: payload.sub,
-      };
-      localStorage.setItem("googleUser", JSON.stringify(user));
+      payload = await PantryAuth.verifyIdToken(response.credential);
     } catch (err) {
-      console.error("Failed to decode credential", err);
+      console.error("Google sign-in failed", err);
+      authNotice = `Sign-in failed: ${err.message}`;
+      render();
+      return;
     }
+    const sameUser = user && user.sub === payload.sub;
+    user = PantryAuth.startSession(payload, response.credential).user;
+    authNotice = "";
+    if (sameUser) {
+      runSync();
+      return;
+    }
+    claimSignedOutData();
+    loadPantryData();
+    syncReminderSchedule();
+    startSync();
+    render();
+  }
+
+  /**
+   * Sign out and show the signed-out pantry. The signed-out user's data
+   * stays on the device for their next sign-in. notice explains why, when
+   * the sign-out wasn't the user's choice.
+   */
+  function signOut(notice) {
+    PantryAuth.endSession();
+    user = null;
+    authNotice = notice;
+    loadPantryData();
+    syncReminderSchedule();
+    startSync();
     render();
   }
 
-  // Initial render
+  /**
+   * Sign the user out once their session has run out.
+   */
+  function checkSession() {
+    if (user && !PantryAuth.getSession()) {
+      signOut("Your session expired. Sign in again to see your pantry.");
+    }
+  }
+
+  // Initial render; events are handled once for the whole page (see on)
+  Object.keys(eventHandlers).forEach((type) => app.addEventListener(type, handleAppEvent));
   render();
-})();
+  registerServiceWorker();
+  document.addEventListener("keydown", handleUndoShortcut);
+  startSync();
+  setInterval(runSync, SYNC_INTERVAL_MS);
+  setInterval(checkSession, SESSION_CHECK_MS);
+  window.addEventListener("online", runSync);
+  // Google's library loads asynchronously; show the sign-in button once
+  // it is ready
+  window.onGoogleLibraryLoad = () => {
+    if (!user) render("user");
+  };
+});
@@ -0,0 +1,244 @@
+/*
+ * Smart Pantry sign-in
+ *
+ * Google sign-in for an app without a backend of its own. The ID token
+ * Google Identity Services hands the page is verified here before anyone
+ * is treated as signed in: its RS256 signature against Google's published
+ * keys (cached), the audience (our client ID), the issuer and the expiry.
+ * The client ID is configured in the google-signin-client_id meta tag in
+ * index.html.
+ *
+ * A verified sign-in starts a session that lasts SESSION_DAYS. The ID
+ * token itself expires after about an hour; it is kept only to
+ * authenticate to a sync server and is renewed with a silent prompt when
+ * it runs out.
+ */
+
+const PantryAuth = (() => {
+  const JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+  const ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+
+  // Signing keys are cached for as long as Google's Cache-Control header
+  // allows, or this long if it doesn't say
+  const JWKS_CACHE_MS = 1000 * 60 * 60 * 6;
+
+  // Allowed difference between our clock and Google's, in seconds
+  const CLOCK_SKEW_S = 60;
+
+  // How long a sign-in lasts before the user has to sign in again
+  const SESSION_DAYS = 30;
+
+  // Silent token refreshes are tried at most this often
+  const REFRESH_INTERVAL_MS = 1000 * 60 * 10;
+
+  const SESSION_KEY = "session";
+  const JWKS_KEY = "googleJwks";
+
+  // Whether google.accounts.id.initialize has run (it must only run once)
+  let initialized = false;
+  let lastRefresh = 0;
+
+  /**
+   * The OAuth client ID from index.html, or null while it is missing or
+   * still the placeholder.
+   */
+  function getClientId() {
+    const meta = document.querySelector('meta[name="google-signin-client_id"]');
+    const clientId = meta ? meta.content.trim() : "";
+    return clientId && !clientId.startsWith("YOUR_") ? clientId : null;
+  }
+
+  /**
+   * Decode a base64url string (as used in JWTs) to bytes.
+   */
+  function base64UrlDecode(segment) {
+    const base64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+
+  /**
+   * Decode a JWT header or payload segment.
+   */
+  function decodeSegment(segment) {
+    return JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+  }
+
+  /**
+   * Google's current signing keys, from the cache unless it has expired or
+   * refresh is set. A stale cached copy is used if Google can't be
+   * reached.
+   */
+  async function getSigningKeys(refresh) {
+    const cached = PantryStore.get(JWKS_KEY);
+    if (!refresh && cached && cached.expiresAt > Date.now()) return cached.keys;
+    let response;
+    try {
+      response = await fetch(JWKS_URL);
+    } catch (err) {
+      if (cached) return cached.keys;
+      throw new Error("Unable to reach Google to check the sign-in");
+    }
+    if (!response.ok) throw new Error(`Unable to fetch Google's signing keys (${response.status})`);
+    const { keys } = await response.json();
+    const maxAge = /max-age=(\d+)/.exec(response.headers.get("Cache-Control") || "");
+    PantryStore.set(JWKS_KEY, {
+      keys,
+      expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : JWKS_CACHE_MS),
+    });
+    return keys;
+  }
+
+  /**
+   * Verify a Google ID token and return its payload. Throws an Error
+   * saying what is wrong if the token is malformed, not signed by Google,
+   * meant for another app, or expired.
+   */
+  async function verifyIdToken(token, clientId = getClientId()) {
+    if (!clientId) throw new Error("Google sign-in isn't configured");
+    const parts = String(token).split(".");
+    if (parts.length !== 3) throw new Error("Malformed ID token");
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+    } catch (err) {
+      throw new Error("Malformed ID token");
+    }
+    if (header.alg !== "RS256") throw new Error(`Unexpected ID token algorithm ${header.alg}`);
+
+    // Google rotates its keys, so an unknown key id means fetch them again
+    let jwk = (await getSigningKeys(false)).find((key) => key.kid === header.kid);
+    if (!jwk) jwk = (await getSigningKeys(true)).find((key) => key.kid === header.kid);
+    if (!jwk) throw new Error("ID token is signed with an unknown key");
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      jwk,
+      { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+      false,
+      ["verify"]
+    );
+    const signed = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+    const valid = await crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, base64UrlDecode(parts[2]), signed);
+    if (!valid) throw new Error("ID token signature is invalid");
+
+    if (!ISSUERS.includes(payload.iss)) throw new Error("ID token wasn't issued by Google");
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(clientId)) throw new Error("ID token is for a different app");
+    const now = Date.now() / 1000;
+    if (!(payload.exp > now - CLOCK_SKEW_S)) throw new Error("ID token has expired");
+    if (payload.iat > now + CLOCK_SKEW_S) throw new Error("ID token is issued in the future");
+    if (!payload.sub) throw new Error("ID token has no subject");
+    return payload;
+  }
+
+  /**
+   * Start (or renew) a session from a verified token payload. Returns the
+   * session { user, credential, tokenExpiresAt, expiresAt } where user is
+   * { sub, email, name, picture }. Renewing keeps the session's expiry.
+   */
+  function startSession(payload, credential) {
+    const existing = getSession();
+    const session = {
+      user: {
+        sub: payload.sub,
+        email: payload.email || null,
+        name: payload.name || null,
+        picture: payload.picture || null,
+      },
+      credential,
+      tokenExpiresAt: payload.exp * 1000,
+      expiresAt:
+        existing && existing.user.sub === payload.sub
+          ? existing.expiresAt
+          : Date.now() + SESSION_DAYS * 1000 * 60 * 60 * 24,
+    };
+    PantryStore.set(SESSION_KEY, session);
+    return session;
+  }
+
+  /**
+   * The current session, or null when signed out or the session expired.
+   */
+  function getSession() {
+    const session = PantryStore.get(SESSION_KEY);
+    return session && session.expiresAt > Date.now() ? session : null;
+  }
+
+  /**
+   * Whether a session is stored but has run out.
+   */
+  function hasExpiredSession() {
+    const session = PantryStore.get(SESSION_KEY);
+    return !!session && session.expiresAt <= Date.now();
+  }
+
+  /**
+   * The ID token to send to a sync server, or null once it has expired.
+   */
+  function getToken() {
+    const session = getSession();
+    return session && session.tokenExpiresAt > Date.now() ? session.credential : null;
+  }
+
+  /**
+   * End the session. Auto select is turned off so Google doesn't sign the
+   * same account straight back in.
+   */
+  function endSession() {
+    PantryStore.remove(SESSION_KEY);
+    if (window.google && google.accounts && google.accounts.id) {
+      google.accounts.id.disableAutoSelect();
+    }
+  }
+
+  /**
+   * Initialize Google Identity Services once, with callback receiving
+   * credential responses. Returns false until the library has loaded or
+   * when no client ID is configured.
+   */
+  function initGoogle(callback) {
+    if (initialized) return true;
+    const clientId = getClientId();
+    if (!clientId || !(window.google && google.accounts && google.accounts.id)) return false;
+    google.accounts.id.initialize({ client_id: clientId, callback, auto_select: true });
+    initialized = true;
+    return true;
+  }
+
+  /**
+   * Render the Google sign-in button into container.
+   */
+  function renderButton(container, callback) {
+    if (!container || !initGoogle(callback)) return;
+    google.accounts.id.renderButton(container, {
+      theme: "outline",
+      size: "large",
+      type: "standard",
+    });
+  }
+
+  /**
+   * Ask Google for a fresh ID token without interrupting the user (auto
+   * select signs a returning user straight in). The token arrives through
+   * callback like a normal sign-in.
+   */
+  function refreshToken(callback) {
+    if (Date.now() - lastRefresh < REFRESH_INTERVAL_MS) return;
+    lastRefresh = Date.now();
+    if (initGoogle(callback)) google.accounts.id.prompt();
+  }
+
+  return {
+    getClientId,
+    verifyIdToken,
+    startSession,
+    getSession,
+    hasExpiredSession,
+    getToken,
+    endSession,
+    renderButton,
+    refreshToken,
+  };
+})();
@@ -0,0 +1,291 @@
+/*
+ * Smart Pantry storage
+ *
+ * A small data-access module over IndexedDB. Each piece of app state
+ * (inventory, recipes, price book, ...) is one record in a key/value
+ * object store, named after the localStorage key it used to live under.
+ * open() loads every record into memory so the app can read state
+ * synchronously while it renders; set() updates memory at once and writes
+ * through to IndexedDB in the background.
+ *
+ * Stored data carries a schema version. When the app changes the shape of
+ * what it saves, bump SCHEMA_VERSION and add a migration below; open()
+ * runs every migration between the stored version and the current one
+ * before the app starts. Pantries saved in localStorage by older versions
+ * are migrated on first load and the old keys removed. Browsers without
+ * IndexedDB (or where it is blocked) keep using localStorage.
+ */
+
+const PantryStore = (() => {
+  const DB_NAME = "smart-pantry";
+  const STORE = "kv";
+  const VERSION_KEY = "schemaVersion";
+  // localStorage fallback: list of keys saved besides the legacy ones
+  const KEYS_KEY = "pantryStoreKeys";
+
+  // Version of the data the current app reads and writes
+  const SCHEMA_VERSION = 3;
+
+  // Keys the app stored in localStorage before IndexedDB
+  const LEGACY_KEYS = [
+    "googleUser",
+    "inventory",
+    "ingredientAliases",
+    "recipes",
+    "pantryStaples",
+    "shoppingList",
+    "priceData",
+    "productCatalog",
+    "inventoryHistory",
+    "restockLeadDays",
+    "notificationSettings",
+  ];
+
+  // Migrations keyed by the version they upgrade to. Each takes the data
+  // object (key → value) and changes it in place; deleting a key removes
+  // it from storage. They describe the data
+  // as it was when they were written, so they must not call into app.js.
+  const migrations = {
+    // 2: inventory items have a unit (older items were counted in pieces)
+    // and are split into lots (older items become one lot kept where its
+    // category is usually stored)
+    2: (data) => {
+      if (!Array.isArray(data.inventory)) return;
+      const coldCategories = ["dairy", "meat", "seafood"];
+      data.inventory = data.inventory.map((item) => {
+        const upgraded = { unit: "each", ...item };
+        if (!Array.isArray(upgraded.lots)) {
+          let location = "pantry";
+          if (upgraded.category === "frozen") location = "freezer";
+          else if (coldCategories.includes(upgraded.category)) location = "fridge";
+          upgraded.lots = [
+            {
+              id: `${upgraded.id}-1`,
+              quantity: upgraded.quantity,
+              purchaseDate: null,
+              expirationDate: upgraded.expirationDate || null,
+              location,
+            },
+          ];
+        }
+        return upgraded;
+      });
+    },
+    // 3: sign-in is verified and kept as a session; the unverified
+    // profile decoded from the ID token is dropped (its owner signs in
+    // again and is given the pantry)
+    3: (data) => {
+      delete data.googleUser;
+    },
+  };
+
+  // In-memory copy of every record, filled by open()
+  let data = {};
+  // Open IndexedDB connection, or null when falling back to localStorage
+  let db = null;
+
+  /**
+   * Read keys from localStorage into a data object; values that don't
+   * parse are skipped with a warning.
+   */
+  function readLocalStorage(keys) {
+    const values = {};
+    keys.forEach((key) => {
+      const stored = localStorage.getItem(key);
+      if (stored === null) return;
+      try {
+        values[key] = JSON.parse(stored);
+      } catch (e) {
+        console.warn(`Unable to parse stored ${key}`, e);
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Every key the app may have saved in localStorage: the legacy keys and
+   * those the localStorage fallback listed under KEYS_KEY.
+   */
+  function localStorageKeys() {
+    try {
+      return LEGACY_KEYS.concat(JSON.parse(localStorage.getItem(KEYS_KEY)) || []);
+    } catch (e) {
+      console.warn("Unable to parse stored key list", e);
+      return LEGACY_KEYS;
+    }
+  }
+
+  /**
+   * Schema version of data kept in localStorage: the fallback stores it
+   * under VERSION_KEY; data from before IndexedDB has none and is version 1.
+   */
+  function localStorageVersion() {
+    return parseInt(localStorage.getItem(VERSION_KEY), 10) || 1;
+  }
+
+  /**
+   * Bring data from version `from` up to SCHEMA_VERSION. Returns whether
+   * anything ran.
+   */
+  function migrate(from) {
+    for (let version = from + 1; version <= SCHEMA_VERSION; version += 1) {
+      if (migrations[version]) migrations[version](data);
+    }
+    return from < SCHEMA_VERSION;
+  }
+
+  /**
+   * Open the database, creating the object store on first use.
+   */
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("IndexedDB open blocked"));
+    });
+  }
+
+  /**
+   * Read every record from the database into a data object.
+   */
+  function readAll() {
+    return new Promise((resolve, reject) => {
+      const records = {};
+      const request = db.transaction(STORE).objectStore(STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(records);
+          return;
+        }
+        records[cursor.key] = cursor.value;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Replace everything stored with the data object and schema version, in
+   * one transaction.
+   */
+  function writeAll() {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, "readwrite");
+      const store = tx.objectStore(STORE);
+      store.clear();
+      Object.entries(data).forEach(([key, value]) => store.put(value, key));
+      store.put(SCHEMA_VERSION, VERSION_KEY);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Load IndexedDB into memory, migrating localStorage data on first run
+   * (whether saved before IndexedDB or by the localStorage fallback) and
+   * older schemas as needed.
+   */
+  async function openIndexedDb() {
+    db = await openDatabase();
+    const records = await readAll();
+    const legacy = !(VERSION_KEY in records);
+    const keys = legacy ? localStorageKeys() : [];
+    const version = legacy ? localStorageVersion() : records[VERSION_KEY];
+    delete records[VERSION_KEY];
+    data = legacy ? readLocalStorage(keys) : records;
+    if (migrate(version) || legacy) {
+      await writeAll();
+      // Only drop the old copy once the new one is safely written
+      if (legacy) {
+        keys.concat(KEYS_KEY, VERSION_KEY).forEach((key) => localStorage.removeItem(key));
+      }
+    }
+  }
+
+  /**
+   * Fallback when IndexedDB isn't available: keep using localStorage, with
+   * the schema version under its own key.
+   */
+  function openLocalStorage() {
+    db = null;
+    const keys = localStorageKeys();
+    data = readLocalStorage(keys);
+    if (migrate(localStorageVersion())) {
+      keys.filter((key) => !(key in data)).forEach((key) => localStorage.removeItem(key));
+      Object.keys(data).forEach((key) => set(key, data[key]));
+      localStorage.setItem(VERSION_KEY, String(SCHEMA_VERSION));
+    }
+  }
+
+  /**
+   * localStorage fallback: remember which non-legacy keys hold data so
+   * the next load reads them back.
+   */
+  function saveKeyList() {
+    const extraKeys = Object.keys(data).filter((key) => !LEGACY_KEYS.includes(key));
+    localStorage.setItem(KEYS_KEY, JSON.stringify(extraKeys));
+  }
+
+  /**
+   * Load all stored data. Resolves once state can be read with get();
+   * never rejects, falling back to localStorage if IndexedDB fails.
+   */
+  async function open() {
+    if (typeof indexedDB !== "undefined") {
+      try {
+        await openIndexedDb();
+        return;
+      } catch (e) {
+        console.warn("IndexedDB unavailable, using localStorage", e);
+      }
+    }
+    openLocalStorage();
+  }
+
+  /**
+   * Value stored under a key, or undefined if never saved.
+   */
+  function get(key) {
+    return data[key];
+  }
+
+  /**
+   * Store a value. Memory is updated immediately; the write to disk
+   * happens in the background and failures are logged.
+   */
+  function set(key, value) {
+    data[key] = value;
+    if (!db) {
+      try {
+        localStorage.setItem(key, JSON.stringify(value));
+        saveKeyList();
+      } catch (e) {
+        console.warn(`Unable to save ${key}`, e);
+      }
+      return;
+    }
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).put(value, key);
+    tx.onerror = () => console.warn(`Unable to save ${key}`, tx.error);
+  }
+
+  /**
+   * Delete a stored value.
+   */
+  function remove(key) {
+    delete data[key];
+    if (!db) {
+      localStorage.removeItem(key);
+      saveKeyList();
+      return;
+    }
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).delete(key);
+    tx.onerror = () => console.warn(`Unable to remove ${key}`, tx.error);
+  }
+
+  return { SCHEMA_VERSION, open, get, set, remove };
+})();
@@ -0,0 +1,334 @@
+/*
+ * Smart Pantry service worker
+ *
+ * Makes the app work offline: the app files and the CDN libraries it needs
+ * (Tailwind and the ZXing scanner) are cached on install and served from
+ * the cache, refreshed from the network in the background. Google sign-in
+ * still needs a connection.
+ *
+ * Also fires browser notifications for lots that are about to expire and items
+ * that need restocking, even when the app isn't open. The page posts a
+ * snapshot of what to watch (see syncReminderSchedule in app.js) whenever
+ * the inventory or the notification settings change; checks run on
+ * Periodic Background Sync where the browser supports it and whenever an
+ * open page asks. Service workers can't read localStorage, so the snapshot
+ * and the worker's own bookkeeping live in a small IndexedDB store.
+ *
+ * Notification actions (snooze, "used it", "tossed it") are handled here.
+ * Snoozes are recorded by the worker; inventory changes are passed to an
+ * open page, or queued until the next time the app is opened.
+ */
+
+const DB_NAME = "smart-pantry-sw";
+const STORE = "kv";
+const CHECK_TAG = "pantry-reminders";
+const SNOOZE_MS = 1000 * 60 * 60 * 24;
+
+// Bump when the list of cached files changes so old caches are dropped
+const CACHE_NAME = "smart-pantry-v3";
+const APP_FILES = [
+  "./",
+  "index.html",
+  "app.js",
+  "db.js",
+  "sync.js",
+  "auth.js",
+  "manifest.webmanifest",
+  "icon.svg",
+];
+const CDN_FILES = [
+  "https://cdn.jsdelivr.net/npm/tailwindcss@2.2.16/dist/tailwind.min.css",
+  "https://unpkg.com/@zxing/library@latest",
+];
+
+/**
+ * Open the worker's key/value database.
+ */
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read a value from the worker's database, or fallback if unset.
+ */
+async function idbGet(key, fallback) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(STORE).objectStore(STORE).get(key);
+    request.onsuccess = () => resolve(request.result === undefined ? fallback : request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Write a value to the worker's database.
+ */
+async function idbSet(key, value) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).put(value, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Local YYYY-MM-DD for a Date, used to remember what was shown today.
+ */
+function dayKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Whole days from today until a YYYY-MM-DD date (negative if past).
+ */
+function daysUntil(dateString, now) {
+  const msPerDay = 1000 * 60 * 60 * 24;
+  const [year, month, day] = dateString.split("-").map(Number);
+  const target = Date.UTC(year, month - 1, day);
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.floor((target - today) / msPerDay);
+}
+
+/**
+ * Whether an hour of the day falls in the quiet hours. The range may wrap
+ * past midnight (e.g. 22 to 7); equal start and end means no quiet hours.
+ */
+function isQuietHour(hour, settings) {
+  const { quietStart, quietEnd } = settings;
+  if (quietStart === quietEnd) return false;
+  return quietStart < quietEnd
+    ? hour >= quietStart && hour < quietEnd
+    : hour >= quietStart || hour < quietEnd;
+}
+
+/**
+ * Work out which reminders are due now from the page's snapshot. Each lot
+ * is reported once a day from its category's lead time before expiry, and
+ * each restock item once a day, unless snoozed. Returns an array of
+ * { key, kind, title, body, itemId, lotId }.
+ */
+function dueReminders(schedule, snoozed, notified, now) {
+  const { settings } = schedule;
+  const today = dayKey(now);
+  const due = [];
+  schedule.lots.forEach((lot) => {
+    const key = `lot:${lot.lotId}`;
+    const lead =
+      lot.category in settings.leadDays ? settings.leadDays[lot.category] : settings.defaultLeadDays;
+    const daysLeft = daysUntil(lot.expirationDate, now);
+    if (daysLeft > lead || notified[key] === today || (snoozed[key] || 0) > now.getTime()) return;
+    let when = `expires in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`;
+    if (daysLeft === 0) when = "expires today";
+    if (daysLeft < 0) when = `expired ${-daysLeft} day${daysLeft === -1 ? "" : "s"} ago`;
+    due.push({
+      key,
+      kind: "expiry",
+      title: `${lot.name} ${when}`,
+      body: `${lot.quantity} in the ${lot.location}`,
+      itemId: lot.itemId,
+      lotId: lot.lotId,
+    });
+  });
+  schedule.restock.forEach((item) => {
+    const key = `restock:${item.itemId}`;
+    if (notified[key] === today || (snoozed[key] || 0) > now.getTime()) return;
+    due.push({
+      key,
+      kind: "restock",
+      title: `Time to restock ${item.name}`,
+      body: item.reason,
+      itemId: item.itemId,
+      lotId: null,
+    });
+  });
+  return due;
+}
+
+/**
+ * Check the schedule and show whatever is due, respecting quiet hours and
+ * the daily digest option. Nothing is shown while notifications are off.
+ */
+async function checkReminders() {
+  const schedule = await idbGet("schedule", null);
+  if (!schedule || !schedule.settings.enabled) return;
+  if (self.Notification && Notification.permission !== "granted") return;
+  const now = new Date();
+  if (isQuietHour(now.getHours(), schedule.settings)) return;
+  const snoozed = await idbGet("snoozed", {});
+  const notified = await idbGet("notified", {});
+  const today = dayKey(now);
+  const due = dueReminders(schedule, snoozed, notified, now);
+  if (schedule.settings.digest) {
+    // One summary a day, at or after the digest hour
+    if (!due.length || notified.digest === today || now.getHours() < schedule.settings.digestHour) {
+      return;
+    }
+    const expiring = due.filter((r) => r.kind === "expiry").length;
+    const restock = due.length - expiring;
+    await self.registration.showNotification("Smart Pantry daily digest", {
+      body: [
+        expiring ? `${expiring} item${expiring === 1 ? "" : "s"} about to expire` : "",
+        restock ? `${restock} item${restock === 1 ? "" : "s"} to restock` : "",
+        due.map((r) => r.title).join("\n"),
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      tag: "digest",
+      data: { kind: "digest" },
+    });
+    notified.digest = today;
+    due.forEach((r) => {
+      notified[r.key] = today;
+    });
+  } else {
+    for (const reminder of due) {
+      const actions = [{ action: "snooze", title: "Snooze" }];
+      if (reminder.kind === "expiry") {
+        actions.push({ action: "used", title: "Used it" }, { action: "tossed", title: "Tossed it" });
+      }
+      await self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.key,
+        actions,
+        data: reminder,
+      });
+      notified[reminder.key] = today;
+    }
+  }
+  await idbSet("notified", notified);
+}
+
+/**
+ * Pass an inventory action from a notification to the app: post it to
+ * open pages, or queue it for the next time the app opens.
+ */
+async function deliverAction(message) {
+  const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  if (clients.length) {
+    clients.forEach((client) => client.postMessage(message));
+    return;
+  }
+  const pending = await idbGet("pendingActions", []);
+  pending.push(message);
+  await idbSet("pendingActions", pending);
+}
+
+/**
+ * Whether a request is for one of the files cached for offline use.
+ */
+function isCachedFile(request) {
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    const scope = new URL(self.registration.scope);
+    return APP_FILES.some((file) => new URL(file, scope).pathname === url.pathname);
+  }
+  return CDN_FILES.includes(request.url);
+}
+
+/**
+ * Serve a cached file, fetching a fresh copy in the background for next
+ * time. Falls back to the network (and caches the result) when the file
+ * isn't cached yet.
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request).then((response) => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    refresh.catch(() => {});
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.addAll(APP_FILES).then(() =>
+        // The app still starts without the CDN files, just unstyled or
+        // without scanning, so don't fail the install over them
+        cache.addAll(CDN_FILES).catch((err) => console.warn("Unable to cache CDN files", err))
+      )
+    )
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  if (event.request.method !== "GET" || !isCachedFile(event.request)) return;
+  event.respondWith(cacheFirst(event.request));
+});
+
+self.addEventListener("message", (event) => {
+  const { type } = event.data || {};
+  if (type === "schedule") {
+    event.waitUntil(idbSet("schedule", event.data.schedule).then(checkReminders));
+  } else if (type === "check") {
+    event.waitUntil(checkReminders());
+  } else if (type === "hello") {
+    // A page opened: hand it any actions taken while the app was closed
+    event.waitUntil(
+      idbGet("pendingActions", []).then((pending) => {
+        if (!pending.length) return undefined;
+        pending.forEach((message) => event.source.postMessage(message));
+        return idbSet("pendingActions", []);
+      })
+    );
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === CHECK_TAG) event.waitUntil(checkReminders());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  const reminder = event.notification.data || {};
+  event.notification.close();
+  if (event.action === "snooze") {
+    event.waitUntil(
+      idbGet("snoozed", {}).then((snoozed) => {
+        snoozed[reminder.key] = Date.now() + SNOOZE_MS;
+        return idbSet("snoozed", snoozed);
+      })
+    );
+    return;
+  }
+  if (event.action === "used" || event.action === "tossed") {
+    event.waitUntil(
+      deliverAction({
+        type: "notification-action",
+        action: event.action,
+        itemId: reminder.itemId,
+        lotId: reminder.lotId,
+      })
+    );
+    return;
+  }
+  // Plain click: bring the app to the front
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((clients) => {
+      if (clients.length) return clients[0].focus();
+      return self.clients.openWindow("./");
+    })
+  );
+});
@@ -0,0 +1,328 @@
+/*
+ * Smart Pantry household sync
+ *
+ * Keeps one pantry in step across the devices of everyone in a household.
+ * Every local edit becomes a small operation in this device's change log;
+ * the log is pushed to a sync server and other members' operations are
+ * pulled back. Applying operations in any order gives the same result:
+ *
+ *   set – a field value; the latest write wins, ties broken by device id
+ *         and operation id so every device picks the same winner
+ *   add – a change to a counter field (lot quantities), summed, so two
+ *         people using milk at the same time both count
+ *
+ * Records are deleted by setting their _deleted field. Sync state works on
+ * plain collections of records with an id ({ items: [...], lots: [...] });
+ * the app converts its inventory to and from that form.
+ *
+ * The server is reached through an adapter with push(household, ops) and
+ * pull(household, since). restAdapter talks to this REST API:
+ *
+ *   POST {base}/households/{id}/ops      body { ops }   → { seq }
+ *   GET  {base}/households/{id}/ops?since={seq}         → { ops, seq }
+ *
+ * where the server numbers operations in arrival order (op.seq) and
+ * ignores operations it has already stored. memoryServer implements the
+ * same API in memory for testing and trying sync out without a backend.
+ */
+
+const PantrySync = (() => {
+  // Own operations kept in the change log once pushed
+  const CHANGE_LOG_LIMIT = 500;
+
+  /**
+   * Sortable stamp for last-writer-wins: time, then device, then op id.
+   */
+  function stampOf(op) {
+    return `${String(op.at).padStart(15, "0")}:${op.device}:${op.id}`;
+  }
+
+  /**
+   * Round away floating point noise from summed counters.
+   */
+  function roundCounter(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
+  /**
+   * Apply one operation to a replica
+   * ({ collection: { recordId: { first, fields, counters } } }) where
+   * fields holds { value, stamp } per field and first is the earliest
+   * stamp seen, used to keep records in creation order.
+   */
+  function applyOp(replica, op) {
+    const stamp = stampOf(op);
+    const records = (replica[op.collection] = replica[op.collection] || {});
+    const record = (records[op.record] = records[op.record] || {
+      first: stamp,
+      fields: {},
+      counters: {},
+    });
+    if (stamp < record.first) record.first = stamp;
+    if (op.kind === "add") {
+      record.counters[op.field] = roundCounter((record.counters[op.field] || 0) + op.value);
+    } else if (!record.fields[op.field] || record.fields[op.field].stamp < stamp) {
+      record.fields[op.field] = { value: op.value, stamp };
+    }
+  }
+
+  /**
+   * Current value of every record in a replica collection, deleted records
+   * left out, in creation order.
+   */
+  function materialize(records) {
+    return Object.entries(records || {})
+      .filter(([, record]) => !(record.fields._deleted && record.fields._deleted.value))
+      .sort(([idA, a], [idB, b]) => a.first.localeCompare(b.first) || idA.localeCompare(idB))
+      .map(([id, record]) => {
+        const value = { id };
+        Object.entries(record.fields).forEach(([field, entry]) => {
+          if (field !== "_deleted") value[field] = entry.value;
+        });
+        return Object.assign(value, record.counters);
+      });
+  }
+
+  /**
+   * Create a sync engine for one device in one household.
+   *
+   * options:
+   *   adapter      – { push, pull } (see restAdapter)
+   *   householdId  – shared id of the household's pantry
+   *   deviceId     – stable id of this device
+   *   author       – { id, name } of the signed-in user, stored on ops
+   *   counters     – fields merged by adding, per collection
+   *                  (e.g. { lots: ["quantity"] })
+   *   state        – saved engine state to resume from
+   *   onStateChange(state) – called whenever state should be persisted
+   */
+  function createEngine({ adapter, householdId, deviceId, author, counters = {}, state, onStateChange }) {
+    const current = {
+      replica: {},
+      base: {},
+      outbox: [],
+      changeLog: [],
+      lastSeq: 0,
+      members: {},
+      lastSync: null,
+      ...state,
+    };
+    let running = null;
+    let opCount = 0;
+
+    const persist = () => {
+      if (onStateChange) onStateChange(current);
+    };
+
+    /**
+     * Note who made a change and when, for the member list.
+     */
+    function trackMember(op) {
+      const member = current.members[op.author.id];
+      if (!member || member.lastSeen < op.at) {
+        current.members[op.author.id] = { name: op.author.name, lastSeen: op.at };
+      }
+    }
+
+    /**
+     * Make a local operation: apply it, queue it for pushing and log it.
+     */
+    function emit(collection, record, kind, field, value) {
+      opCount += 1;
+      const op = {
+        id: `${deviceId}-${Date.now().toString(36)}-${opCount}`,
+        collection,
+        record,
+        kind,
+        field,
+        value,
+        at: Date.now(),
+        device: deviceId,
+        author,
+      };
+      applyOp(current.replica, op);
+      current.outbox.push(op);
+      trackMember(op);
+    }
+
+    /**
+     * Compare the app's data ({ collection: records }) with what it held
+     * at the last record() or snapshot() and make an operation for every
+     * local change. Diffing against the app's own previous view (not the
+     * merged replica) keeps other members' changes that the app hasn't
+     * picked up yet from looking like local edits. Returns how many
+     * operations were made.
+     */
+    function record(appData) {
+      const before = current.outbox.length;
+      Object.entries(appData).forEach(([collection, list]) => {
+        const counterFields = counters[collection] || [];
+        const previous = current.base[collection] || {};
+        const replicaRecords = current.replica[collection] || {};
+        const next = {};
+        list.forEach((value) => {
+          next[value.id] = JSON.parse(JSON.stringify(value));
+          const old = previous[value.id];
+          const merged = replicaRecords[value.id];
+          if (!old && merged && merged.fields._deleted && merged.fields._deleted.value) {
+            emit(collection, value.id, "set", "_deleted", false);
+          }
+          Object.entries(value).forEach(([field, fieldValue]) => {
+            if (field === "id") return;
+            if (counterFields.includes(field)) {
+              // A record the app didn't hold (e.g. one brought back by an
+              // undo after it was deleted) keeps its counter in the replica
+              const from = old ? old[field] : merged && merged.counters[field];
+              const delta = roundCounter((fieldValue || 0) - (from || 0));
+              if (delta) emit(collection, value.id, "add", field, delta);
+              return;
+            }
+            if (!old || JSON.stringify(old[field]) !== JSON.stringify(fieldValue)) {
+              emit(collection, value.id, "set", field, fieldValue === undefined ? null : fieldValue);
+            }
+          });
+        });
+        Object.keys(previous).forEach((id) => {
+          if (!next[id]) emit(collection, id, "set", "_deleted", true);
+        });
+        current.base[collection] = next;
+      });
+      const made = current.outbox.length - before;
+      if (made) persist();
+      return made;
+    }
+
+    /**
+     * Push queued operations and pull everyone else's. Resolves to
+     * { pushed, pulled } with the number of operations each way; pulled
+     * operations have already been applied. Concurrent calls share one
+     * run.
+     */
+    function sync() {
+      if (running) return running;
+      running = (async () => {
+        let pushed = 0;
+        if (current.outbox.length) {
+          const sending = current.outbox.slice();
+          await adapter.push(householdId, sending);
+          const sent = new Set(sending.map((op) => op.id));
+          current.outbox = current.outbox.filter((op) => !sent.has(op.id));
+          current.changeLog = current.changeLog.concat(sending).slice(-CHANGE_LOG_LIMIT);
+          pushed = sending.length;
+        }
+        const { ops, seq } = await adapter.pull(householdId, current.lastSeq);
+        let pulled = 0;
+        ops.forEach((op) => {
+          trackMember(op);
+          // Our own operations were applied when they were made
+          if (op.device === deviceId) return;
+          applyOp(current.replica, op);
+          pulled += 1;
+        });
+        current.lastSeq = seq;
+        current.lastSync = Date.now();
+        persist();
+        return { pushed, pulled };
+      })();
+      return running.finally(() => {
+        running = null;
+      });
+    }
+
+    /**
+     * The merged data as { collection: records } for the given collections.
+     * The app is expected to adopt it, so it becomes the view the next
+     * record() is compared with; call record() first so no local change
+     * is lost.
+     */
+    function snapshot(collections) {
+      const result = {};
+      collections.forEach((collection) => {
+        result[collection] = materialize(current.replica[collection]);
+        current.base[collection] = {};
+        result[collection].forEach((value) => {
+          current.base[collection][value.id] = JSON.parse(JSON.stringify(value));
+        });
+      });
+      persist();
+      return result;
+    }
+
+    return { record, sync, snapshot, state: current };
+  }
+
+  /**
+   * Adapter for a sync server speaking the REST API described above.
+   * options.fetch replaces window.fetch (e.g. with memoryServer().fetch);
+   * options.getToken returns a bearer token to send, if any.
+   */
+  function restAdapter(baseUrl, options = {}) {
+    const fetchImpl = options.fetch || ((...args) => fetch(...args));
+    const base = baseUrl.replace(/\/+$/, "");
+
+    async function request(path, init) {
+      const headers = { "Content-Type": "application/json" };
+      const token = options.getToken && options.getToken();
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const response = await fetchImpl(`${base}${path}`, { ...init, headers });
+      if (!response.ok) throw new Error(`Sync server responded with ${response.status}`);
+      return response.json();
+    }
+
+    return {
+      push: (householdId, ops) =>
+        request(`/households/${encodeURIComponent(householdId)}/ops`, {
+          method: "POST",
+          body: JSON.stringify({ ops }),
+        }),
+      pull: (householdId, since) =>
+        request(`/households/${encodeURIComponent(householdId)}/ops?since=${since}`, {
+          method: "GET",
+        }),
+    };
+  }
+
+  /**
+   * In-memory sync server implementing the REST API, for tests and for
+   * trying sync out. Its fetch function can be passed to restAdapter; the
+   * households object holds each household's { ops } log.
+   */
+  function memoryServer() {
+    const households = {};
+
+    async function serverFetch(url, init = {}) {
+      const reply = (status, body) => ({ ok: status < 400, status, json: async () => body });
+      const { pathname, searchParams } = new URL(url, "http://sync.invalid");
+      const match = pathname.match(/\/households\/([^/]+)\/ops$/);
+      if (!match) return reply(404, { error: "Not found" });
+      const id = decodeURIComponent(match[1]);
+      const household = (households[id] = households[id] || { ops: [] });
+      const method = (init.method || "GET").toUpperCase();
+      if (method === "POST") {
+        let body;
+        try {
+          body = JSON.parse(init.body);
+        } catch (e) {
+          return reply(400, { error: "Invalid JSON" });
+        }
+        if (!Array.isArray(body.ops)) return reply(400, { error: "Expected { ops: [...] }" });
+        const known = new Set(household.ops.map((op) => op.id));
+        body.ops.forEach((op) => {
+          if (known.has(op.id)) return;
+          known.add(op.id);
+          household.ops.push({ ...op, seq: household.ops.length + 1 });
+        });
+        return reply(200, { seq: household.ops.length });
+      }
+      if (method === "GET") {
+        const since = parseInt(searchParams.get("since"), 10) || 0;
+        return reply(200, { ops: household.ops.slice(since), seq: household.ops.length });
+      }
+      return reply(405, { error: "Method not allowed" });
+    }
+
+    return { fetch: serverFetch, households };
+  }
+
+  return { createEngine, restAdapter, memoryServer };
+})();
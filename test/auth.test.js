@@ -0,0 +1,129 @@
+/*
+ * Tests for Google ID token verification (auth.js), with tokens signed by
+ * a key generated here and published as the stand-in for Google's.
+ *
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const CLIENT_ID = "client-1.apps.googleusercontent.com";
+const KID = "key-1";
+
+const source = fs.readFileSync(path.join(__dirname, "..", "auth.js"), "utf8");
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, alg: "RS256", use: "sig" }] };
+
+const base64Url = (value) => Buffer.from(value).toString("base64url");
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * An ID token for payload fields (merged over valid ones), signed with
+ * the generated key under header fields (merged over valid ones).
+ */
+function idToken(fields = {}, headerFields = {}) {
+  const header = { alg: "RS256", kid: KID, typ: "JWT", ...headerFields };
+  const payload = {
+    iss: "https://accounts.google.com",
+    aud: CLIENT_ID,
+    sub: "user-1",
+    email: "sam@example.com",
+    name: "Sam",
+    iat: now(),
+    exp: now() + 3600,
+    ...fields,
+  };
+  const signed = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  return `${signed}.${base64Url(crypto.sign("sha256", Buffer.from(signed), privateKey))}`;
+}
+
+/**
+ * Load auth.js with a store over a Map and a fetch serving the generated
+ * key. Returns { PantryAuth, fetches } where fetches counts key downloads.
+ */
+function loadAuth() {
+  const stored = new Map();
+  const state = { fetches: 0 };
+  const context = {
+    PantryStore: {
+      get: (key) => stored.get(key),
+      set: (key, value) => stored.set(key, value),
+      remove: (key) => stored.delete(key),
+    },
+    document: {
+      querySelector: () => ({ content: CLIENT_ID }),
+    },
+    fetch: async () => {
+      state.fetches += 1;
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: (name) => (name === "Cache-Control" ? "public, max-age=3600" : null) },
+        json: async () => jwks,
+      };
+    },
+    crypto: crypto.webcrypto,
+    TextEncoder,
+    TextDecoder,
+    atob,
+  };
+  context.window = context;
+  state.PantryAuth = vm.runInNewContext(`${source}\nPantryAuth`, context);
+  return state;
+}
+
+test("a valid token starts a session", async () => {
+  const { PantryAuth } = loadAuth();
+  const token = idToken();
+  const payload = await PantryAuth.verifyIdToken(token);
+  assert.equal(payload.sub, "user-1");
+
+  PantryAuth.startSession(payload, token);
+  assert.equal(PantryAuth.getSession().user.email, "sam@example.com");
+  assert.equal(PantryAuth.getToken(), token);
+});
+
+test("signing keys are fetched once and then cached", async () => {
+  const state = loadAuth();
+  await state.PantryAuth.verifyIdToken(idToken());
+  await state.PantryAuth.verifyIdToken(idToken());
+  assert.equal(state.fetches, 1);
+});
+
+const rejected = [
+  ["another algorithm", () => idToken({}, { alg: "HS256" }), /algorithm HS256/],
+  ["another audience", () => idToken({ aud: "someone-else" }), /different app/],
+  ["another issuer", () => idToken({ iss: "https://evil.example.com" }), /issued by Google/],
+  ["an expired token", () => idToken({ iat: now() - 7200, exp: now() - 3600 }), /expired/],
+  ["a token issued in the future", () => idToken({ iat: now() + 3600 }), /in the future/],
+  ["a token whose payload was changed after signing", swappedPayload, /signature/],
+];
+
+/**
+ * A valid token with another token's payload swapped in.
+ */
+function swappedPayload() {
+  const [header, , signature] = idToken().split(".");
+  const [, payload] = idToken({ sub: "user-2" }).split(".");
+  return `${header}.${payload}.${signature}`;
+}
+
+rejected.forEach(([name, token, message]) => {
+  test(`${name} is rejected`, async () => {
+    const { PantryAuth } = loadAuth();
+    await assert.rejects(PantryAuth.verifyIdToken(token()), message);
+    assert.equal(PantryAuth.getSession(), null);
+  });
+});
+
+test("an unknown key id is rejected after refetching the keys", async () => {
+  const state = loadAuth();
+  await state.PantryAuth.verifyIdToken(idToken());
+  await assert.rejects(state.PantryAuth.verifyIdToken(idToken({}, { kid: "key-2" })), /unknown key/);
+  assert.equal(state.fetches, 2);
+});
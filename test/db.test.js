@@ -0,0 +1,139 @@
+/*
+ * Tests for moving stored data into IndexedDB (db.js).
+ *
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "db.js"), "utf8");
+
+/**
+ * Minimal localStorage over a Map, seeded with raw string values.
+ */
+function memoryStorage(seed) {
+  const values = new Map(Object.entries(seed));
+  return {
+    values,
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+/**
+ * Just enough of IndexedDB for db.js: one object store kept in `records`,
+ * with every request answered asynchronously.
+ */
+function memoryIndexedDb(records) {
+  const later = (callback) => setImmediate(callback);
+  const store = {
+    openCursor() {
+      const request = {};
+      const entries = [...records];
+      let index = 0;
+      const step = () =>
+        later(() => {
+          request.result =
+            index < entries.length
+              ? {
+                  key: entries[index][0],
+                  value: entries[index][1],
+                  continue() {
+                    index += 1;
+                    step();
+                  },
+                }
+              : null;
+          request.onsuccess();
+        });
+      step();
+      return request;
+    },
+    clear: () => records.clear(),
+    put: (value, key) => records.set(key, value),
+    delete: (key) => records.delete(key),
+  };
+  const connection = {
+    transaction() {
+      const tx = { objectStore: () => store };
+      later(() => tx.oncomplete && tx.oncomplete());
+      return tx;
+    },
+  };
+  return {
+    open() {
+      const request = {};
+      later(() => {
+        request.result = connection;
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+}
+
+/**
+ * Open a fresh PantryStore over the given storage and database records.
+ */
+async function openStore(localStorage, records) {
+  const context = {
+    localStorage,
+    indexedDB: memoryIndexedDb(records),
+    console: { log() {}, warn() {}, error() {} },
+  };
+  const PantryStore = vm.runInNewContext(`${source}\nPantryStore`, context);
+  await PantryStore.open();
+  return PantryStore;
+}
+
+// Values from the store's context, as plain objects
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test("data saved by the localStorage fallback moves to IndexedDB", async () => {
+  const session = { user: { sub: "u1", name: "Sam" }, expiresAt: 4102444800000 };
+  const inventory = [{ id: "i1", name: "Rice", quantity: 1, unit: "kg", lots: [] }];
+  const localStorage = memoryStorage({
+    schemaVersion: "3",
+    pantryStoreKeys: JSON.stringify(["session", "users/u1/inventory", "mealPlan"]),
+    session: JSON.stringify(session),
+    "users/u1/inventory": JSON.stringify(inventory),
+    mealPlan: JSON.stringify([{ id: "m1", recipeId: "r1", date: "2026-10-19", servings: 2 }]),
+    recipes: JSON.stringify([]),
+  });
+  const records = new Map();
+
+  const store = await openStore(localStorage, records);
+
+  assert.deepEqual(plain(store.get("session")), session);
+  assert.deepEqual(plain(store.get("users/u1/inventory")), inventory);
+  assert.equal(store.get("mealPlan").length, 1);
+  assert.deepEqual(plain(store.get("recipes")), []);
+  assert.equal(records.get("schemaVersion"), 3);
+  assert.deepEqual(plain(records.get("session")), session);
+  assert.deepEqual([...localStorage.values.keys()], []);
+
+  // Read back from IndexedDB on the next load
+  const reopened = await openStore(memoryStorage({}), records);
+  assert.deepEqual(plain(reopened.get("users/u1/inventory")), inventory);
+});
+
+test("data saved before IndexedDB is migrated from version 1", async () => {
+  const localStorage = memoryStorage({
+    googleUser: JSON.stringify({ name: "Sam" }),
+    inventory: JSON.stringify([{ id: "i1", name: "Milk", quantity: 2, category: "dairy" }]),
+  });
+  const records = new Map();
+
+  const store = await openStore(localStorage, records);
+
+  assert.equal(store.get("googleUser"), undefined);
+  const [milk] = plain(store.get("inventory"));
+  assert.equal(milk.unit, "each");
+  assert.equal(milk.lots[0].location, "fridge");
+  assert.deepEqual([...localStorage.values.keys()], []);
+});
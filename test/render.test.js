@@ -0,0 +1,206 @@
+/*
+ * Tests that text from item names, barcodes, recipes and the Google
+ * profile is escaped wherever app.js renders it.
+ *
+ * Run with: node --test test/
+ *
+ * app.js is a browser script, so it runs here in a bare context with a
+ * stand-in DOM: instead of parsing HTML, the page records the markup each
+ * render produces, and events are handed to the app's delegated handlers
+ * directly.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const PAYLOAD = '"><img src=x onerror=alert(1)>';
+const ESCAPED = "&quot;&gt;&lt;img src=x onerror=alert(1)&gt;";
+const BARCODE = "0012345678905";
+
+const source = (file) => fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+
+/**
+ * Minimal localStorage over a Map, seeded with JSON values.
+ */
+function memoryStorage(seed) {
+  const values = new Map(Object.entries(seed).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+}
+
+/**
+ * Stand-in element: accepts whatever the app sets on it and finds a
+ * stand-in for any selector.
+ */
+function element(attributes = {}) {
+  return {
+    value: "",
+    childNodes: [],
+    firstChild: null,
+    childElementCount: 0,
+    getAttribute: (name) => (name in attributes ? attributes[name] : null),
+    querySelector: () => element(),
+    addEventListener() {},
+    appendChild() {},
+    focus() {},
+  };
+}
+
+/**
+ * Start the app with the given stored data (and signed-in user, if any).
+ * Returns { markup, dispatch } where markup() is all HTML rendered so far
+ * and dispatch(type, selector, attributes) delivers an event whose target
+ * matches selector.
+ */
+async function startApp(stored, user = null) {
+  const rendered = [];
+  const listeners = {};
+  const app = element();
+  app.addEventListener = (type, listener) => {
+    listeners[type] = listener;
+  };
+  app.contains = () => true;
+  const document = {
+    getElementById: (id) => (id === "app" ? app : element()),
+    querySelector: () => null,
+    createElement: (tag) =>
+      tag === "template"
+        ? {
+            content: { childNodes: [] },
+            set innerHTML(markup) {
+              rendered.push(markup);
+            },
+          }
+        : element(),
+    addEventListener() {},
+    body: element(),
+  };
+  const context = {
+    document,
+    navigator: {},
+    localStorage: memoryStorage({ schemaVersion: 3, ...stored }),
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout: () => 0,
+    clearTimeout() {},
+    setInterval: () => 0,
+    addEventListener() {},
+    alert() {},
+    confirm: () => true,
+    prompt: () => null,
+    URL,
+    TextEncoder,
+    PantryAuth: {
+      getSession: () => (user ? { user } : null),
+      hasExpiredSession: () => false,
+      endSession() {},
+      renderButton() {},
+      getClientId: () => null,
+      getToken: () => null,
+    },
+    ZXing: {
+      BrowserMultiFormatReader: function BrowserMultiFormatReader() {
+        this.decodeOnceFromVideoDevice = async () => ({ text: PAYLOAD });
+        this.decodeFromVideoDevice = (deviceId, video, onResult) => onResult({ text: BARCODE });
+        this.reset = () => {};
+      },
+    },
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(`${source("db.js")}\n${source("sync.js")}\n${source("app.js")}`, context);
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+  await settle();
+  return {
+    markup: () => rendered.join("\n"),
+    async dispatch(type, selector, attributes = {}) {
+      const target = element(attributes);
+      listeners[type]({
+        type,
+        target: { closest: (wanted) => (wanted === selector ? target : null) },
+        preventDefault() {},
+      });
+      await settle();
+    },
+  };
+}
+
+/**
+ * Check rendered markup holds the payload only as escaped text.
+ */
+function assertEscaped(markup) {
+  assert.ok(!markup.includes("<img src=x"), "payload was rendered as markup");
+  assert.ok(markup.includes(ESCAPED), "payload wasn't rendered as text");
+}
+
+const maliciousItem = {
+  id: "item-1",
+  name: PAYLOAD,
+  quantity: 1,
+  unit: "each",
+  expirationDate: null,
+  barcode: PAYLOAD,
+  regular: false,
+  category: null,
+  lots: [{ id: "lot-1", quantity: 1, purchaseDate: null, expirationDate: null, location: "pantry" }],
+};
+
+const maliciousRecipe = {
+  id: "recipe-1",
+  name: PAYLOAD,
+  servings: 1,
+  prepTime: null,
+  tags: [PAYLOAD],
+  ingredients: [{ name: PAYLOAD, amount: 1, unit: "each" }],
+  steps: [PAYLOAD],
+};
+
+test("item names are escaped in the inventory and its edit form", async () => {
+  const page = await startApp({ inventory: [maliciousItem] });
+  assertEscaped(page.markup());
+  await page.dispatch("click", ".edit-button", { "data-id": "item-1" });
+  assert.ok(page.markup().includes(`value="${ESCAPED}"`));
+  assertEscaped(page.markup());
+});
+
+test("barcodes are escaped in the catalog and the scan message", async () => {
+  const product = { barcode: PAYLOAD, name: "Cereal", brand: PAYLOAD, unit: "each", size: 1 };
+  const page = await startApp({ productCatalog: { [PAYLOAD]: product } });
+  assert.ok(page.markup().includes(`data-key="${ESCAPED}"`));
+  await page.dispatch("click", "#scan-button");
+  assert.ok(page.markup().includes(`Scanned ${ESCAPED}.`));
+  assertEscaped(page.markup());
+});
+
+test("recipe names and fields are escaped in suggestions, the detail view and the editor", async () => {
+  const page = await startApp({ recipes: [maliciousRecipe] });
+  assertEscaped(page.markup());
+  await page.dispatch("click", ".view-button", { "data-id": "recipe-1" });
+  await page.dispatch("click", ".edit-recipe-button", { "data-id": "recipe-1" });
+  assert.ok(page.markup().includes(`value="${ESCAPED}"`));
+  assertEscaped(page.markup());
+});
+
+test("the Google profile name and email are escaped", async () => {
+  const user = { sub: "user-1", name: PAYLOAD, email: `${PAYLOAD}@example.com` };
+  const page = await startApp({}, user);
+  assert.ok(page.markup().includes(`Signed in as ${ESCAPED}`));
+  assert.ok(page.markup().includes(`${ESCAPED}@example.com`));
+  assertEscaped(page.markup());
+});
+
+test("markup built by html stays markup when nested in html", async () => {
+  const product = { barcode: BARCODE, name: PAYLOAD, unit: "each", size: 1 };
+  const page = await startApp({
+    inventory: [{ ...maliciousItem, barcode: BARCODE }],
+    productCatalog: { [BARCODE]: product },
+  });
+  await page.dispatch("click", "#batch-button");
+  assert.ok(page.markup().includes(`${ESCAPED} <span class="text-xs text-gray-500">(in inventory)</span>`));
+  assertEscaped(page.markup());
+});
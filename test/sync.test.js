@@ -0,0 +1,85 @@
+/*
+ * Tests for the household sync engine (sync.js).
+ *
+ * Run with: node --test test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+// sync.js is a browser script defining the PantrySync global
+const PantrySync = vm.runInNewContext(
+  `${fs.readFileSync(path.join(__dirname, "..", "sync.js"), "utf8")}\nPantrySync`,
+  { URL }
+);
+
+/**
+ * Two devices of one household sharing an in-memory sync server.
+ */
+function household() {
+  const server = PantrySync.memoryServer();
+  const device = (deviceId) =>
+    PantrySync.createEngine({
+      adapter: PantrySync.restAdapter("http://sync.test", { fetch: server.fetch }),
+      householdId: "home",
+      deviceId,
+      author: { id: deviceId, name: deviceId },
+      counters: { lots: ["quantity"] },
+    });
+  return { a: device("a"), b: device("b") };
+}
+
+/**
+ * The lots a device's merged data holds, as plain objects (the engine's
+ * come from another context).
+ */
+function lotsOf(engine) {
+  return JSON.parse(JSON.stringify(engine.snapshot(["lots"]).lots));
+}
+
+test("a lot restored under its old id after being deleted keeps its quantity", async () => {
+  const { a, b } = household();
+  const lot = { id: "lot-1", itemId: "milk", quantity: 3, location: "fridge" };
+
+  a.record({ lots: [lot] });
+  await a.sync();
+  // Deleted, then brought back by an undo with the same id
+  a.record({ lots: [] });
+  await a.sync();
+  a.record({ lots: [lot] });
+  await a.sync();
+
+  assert.deepEqual(lotsOf(a), [lot]);
+  await b.sync();
+  assert.deepEqual(lotsOf(b), [lot]);
+});
+
+test("a lot restored with a different quantity takes that quantity", async () => {
+  const { a, b } = household();
+  a.record({ lots: [{ id: "lot-1", quantity: 3 }] });
+  a.record({ lots: [] });
+  a.record({ lots: [{ id: "lot-1", quantity: 2 }] });
+  await a.sync();
+  await b.sync();
+  assert.equal(lotsOf(b)[0].quantity, 2);
+});
+
+test("quantities used on two devices at once are both counted", async () => {
+  const { a, b } = household();
+  a.record({ lots: [{ id: "lot-1", quantity: 6 }] });
+  await a.sync();
+  await b.sync();
+  b.snapshot(["lots"]);
+
+  a.record({ lots: [{ id: "lot-1", quantity: 5 }] });
+  b.record({ lots: [{ id: "lot-1", quantity: 4 }] });
+  await a.sync();
+  await b.sync();
+  await a.sync();
+
+  assert.equal(lotsOf(a)[0].quantity, 3);
+  assert.equal(lotsOf(b)[0].quantity, 3);
+});